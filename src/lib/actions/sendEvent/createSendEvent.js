@@ -10,15 +10,35 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 
+const applyTimeout = require("../../utils/applyTimeout");
+
 module.exports = instanceManager => settings => {
-  const { instanceName, ...otherSettings } = settings;
+  const { instanceName, timeout, ...otherSettings } = settings;
   const instanceAccessor = instanceManager.getAccessor(instanceName);
+  let promise;
 
   if (instanceAccessor) {
-    instanceAccessor.instance("event", otherSettings);
+    promise = instanceAccessor
+      .instance("event", otherSettings)
+      .then(response => {
+        // There is no response content when the request was sent using
+        // sendBeacon (because the document is unloading).
+        if (response) {
+          instanceAccessor.notifyEdgeResponseListeners(response);
+        }
+      });
+    // Returning the promise lets Turbine wait for the event to be sent
+    // before executing the rule's next action.
+    promise = applyTimeout(promise, timeout, () => {
+      turbine.logger.warn(
+        `Sending event for instance "${instanceName}" did not complete within ${timeout} ms. Continuing with the rule.`
+      );
+    });
   } else {
     turbine.logger.error(
       `Failed to send event for instance "${instanceName}". No matching instance was configured with this name.`
     );
   }
+
+  return promise;
 };
@@ -0,0 +1,48 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const idNormalizers = require("../../utils/idNormalizers");
+
+/**
+ * Applies the normalization chosen for each customer ID that will be
+ * hashed. Customer IDs that can't be normalized are logged and left out
+ * of the result because their hashes wouldn't match.
+ * @param {Object} customerIdsConfig Customer IDs keyed by namespace.
+ * @returns {Object} The customer IDs, without normalization options, as
+ * they should be passed to Alloy.
+ */
+module.exports = customerIdsConfig =>
+  Object.keys(customerIdsConfig).reduce((result, namespace) => {
+    const {
+      normalization,
+      phoneCountryCode,
+      ...customerIdObject
+    } = customerIdsConfig[namespace];
+    const normalizeId = idNormalizers[normalization];
+
+    if (customerIdObject.hashEnabled && normalizeId) {
+      const id = normalizeId(String(customerIdObject.id), phoneCountryCode);
+
+      if (!id) {
+        turbine.logger.warn(
+          `The customer ID for namespace "${namespace}" was rejected. It could not be normalized using the "${normalization}" normalization.`
+        );
+        return result;
+      }
+
+      customerIdObject.id = id;
+    }
+
+    result[namespace] = customerIdObject;
+
+    return result;
+  }, {});
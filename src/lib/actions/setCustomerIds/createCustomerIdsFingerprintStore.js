@@ -0,0 +1,31 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/**
+ * Stores the fingerprint of the customer IDs last set for each instance.
+ * Fingerprints are only kept for the lifetime of the page because the SDK
+ * only keeps customer IDs in memory, so customer IDs must be set again on
+ * each page for them to be included in that page's events.
+ * @returns {Object}
+ */
+module.exports = () => {
+  const fingerprintByInstanceName = {};
+
+  return {
+    get(instanceName) {
+      return fingerprintByInstanceName[instanceName];
+    },
+    set(instanceName, fingerprint) {
+      fingerprintByInstanceName[instanceName] = fingerprint;
+    }
+  };
+};
@@ -10,21 +10,101 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 
-module.exports = instanceManager => settings => {
-  const { instanceName, customerIds } = settings;
+const applyTimeout = require("../../utils/applyTimeout");
+const normalizeCustomerIdsObject = require("./normalizeCustomerIdsObject");
+const removeEmptyCustomerIds = require("./removeEmptyCustomerIds");
+const applyIdNormalization = require("./applyIdNormalization");
+
+module.exports = (
+  instanceManager,
+  fingerprintStore,
+  getCustomerIdsFingerprint
+) => settings => {
+  const { instanceName, customerIds, forceSync, timeout } = settings;
   const instanceAccessor = instanceManager.getAccessor(instanceName);
+  let promise;
 
   if (instanceAccessor) {
-    const customerIdsConfig = customerIds.reduce((config, customerIdObject) => {
-      config[customerIdObject.namespace] = customerIdObject;
+    let customerIdsConfig;
+
+    // Customer IDs are either configured individually in the action or
+    // provided by a data element returning an object keyed by namespace.
+    if (Array.isArray(customerIds)) {
+      customerIdsConfig = removeEmptyCustomerIds(
+        customerIds.reduce((config, customerIdObject) => {
+          config[customerIdObject.namespace] = customerIdObject;
+
+          return config;
+        }, {})
+      );
+    } else {
+      customerIdsConfig = normalizeCustomerIdsObject(
+        removeEmptyCustomerIds(customerIds)
+      );
+    }
+
+    customerIdsConfig = applyIdNormalization(customerIdsConfig);
+
+    // When no customer IDs remain, the command is skipped rather than
+    // treated as an error. This allows the same rule to run for visitors
+    // who are logged in and those who aren't.
+    if (!Object.keys(customerIdsConfig).length) {
+      turbine.logger.debug(
+        `No customer IDs with an ID were provided for instance "${instanceName}". Customer IDs will not be set.`
+      );
+      return undefined;
+    }
 
-      return config;
-    }, {});
+    // Setting customer IDs sends a request to the Edge, so it's skipped when
+    // the same customer IDs were already set for the instance.
+    const setCustomerIdsPromise = getCustomerIdsFingerprint(
+      customerIdsConfig
+    ).then(fingerprint => {
+      if (
+        !forceSync &&
+        fingerprint &&
+        fingerprint === fingerprintStore.get(instanceName)
+      ) {
+        turbine.logger.info(
+          `Customer IDs for instance "${instanceName}" have not changed since they were last set. Skipping.`
+        );
+        return undefined;
+      }
 
-    instanceAccessor.instance("setCustomerIds", customerIdsConfig);
+      // The fingerprint is stored before the command completes so that
+      // other Set Customer IDs actions running at the same time (for
+      // example, from a page load rule and a login rule) don't send the same
+      // customer IDs again. It's rolled back if the command fails.
+      const previousFingerprint = fingerprintStore.get(instanceName);
+
+      if (fingerprint) {
+        fingerprintStore.set(instanceName, fingerprint);
+      }
+
+      return instanceAccessor
+        .instance("setCustomerIds", customerIdsConfig)
+        .catch(error => {
+          if (
+            fingerprint &&
+            fingerprintStore.get(instanceName) === fingerprint
+          ) {
+            fingerprintStore.set(instanceName, previousFingerprint);
+          }
+
+          throw error;
+        });
+    });
+
+    promise = applyTimeout(setCustomerIdsPromise, timeout, () => {
+      turbine.logger.warn(
+        `Setting customer IDs for instance "${instanceName}" did not complete within ${timeout} ms. Continuing with the rule.`
+      );
+    });
   } else {
     turbine.logger.error(
       `Failed to set customer IDs for instance "${instanceName}". No matching instance was configured with this name.`
     );
   }
+
+  return promise;
 };
@@ -0,0 +1,44 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const convertStringToSha256Hex = require("../../utils/convertStringToSha256Hex");
+
+/**
+ * Creates a fingerprint of customer IDs so they can be compared with
+ * customer IDs that were previously set without keeping the raw values.
+ * @param {Object} window
+ * @param {Object} customerIdsConfig Customer IDs keyed by namespace.
+ * @returns {Promise} A promise resolved with the fingerprint or, if the
+ * browser doesn't support hashing, undefined.
+ */
+module.exports = (window, customerIdsConfig) => {
+  // Namespaces are sorted so that the fingerprint doesn't depend on the
+  // order in which the customer IDs were configured.
+  const canonicalCustomerIds = Object.keys(customerIdsConfig)
+    .sort()
+    .map(namespace => {
+      const {
+        id,
+        authenticatedState,
+        primary,
+        hashEnabled
+      } = customerIdsConfig[namespace];
+      return [namespace, id, authenticatedState, !!primary, !!hashEnabled];
+    });
+
+  const promise = convertStringToSha256Hex(
+    window,
+    JSON.stringify(canonicalCustomerIds)
+  );
+
+  return promise ? promise.catch(() => undefined) : Promise.resolve();
+};
@@ -11,6 +11,12 @@ governing permissions and limitations under the License.
 */
 
 const createSetCustomerIds = require("./createSetCustomerIds");
+const createCustomerIdsFingerprintStore = require("./createCustomerIdsFingerprintStore");
+const getCustomerIdsFingerprint = require("./getCustomerIdsFingerprint");
 const instanceManager = require("../../instanceManager/index");
 
-module.exports = createSetCustomerIds(instanceManager);
+module.exports = createSetCustomerIds(
+  instanceManager,
+  createCustomerIdsFingerprintStore(),
+  customerIdsConfig => getCustomerIdsFingerprint(window, customerIdsConfig)
+);
@@ -0,0 +1,144 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const idNormalizers = require("../../utils/idNormalizers");
+
+const authenticatedStates = ["ambiguous", "authenticated", "loggedOut"];
+const normalizations = Object.keys(idNormalizers);
+
+const toBoolean = value => value === true || value === "true";
+
+/**
+ * Validates and normalizes customer IDs provided as a single object keyed
+ * by namespace, as returned by a data element. For example:
+ *
+ * {
+ *   CRM_ID: { id: "123", authenticatedState: "loggedOut", primary: true }
+ * }
+ *
+ * Entries that can't be used are logged and left out of the result.
+ * @param {Object} customerIdsObject The object keyed by namespace.
+ * @returns {Object} The customer IDs keyed by namespace, in the same shape
+ * as customer IDs configured individually in the action.
+ */
+module.exports = customerIdsObject => {
+  // Data elements commonly return nothing for visitors who aren't logged
+  // in, which means there are no customer IDs to set rather than an error.
+  // The caller logs that no customer IDs were provided.
+  if (
+    customerIdsObject === undefined ||
+    customerIdsObject === null ||
+    customerIdsObject === ""
+  ) {
+    return {};
+  }
+
+  if (
+    typeof customerIdsObject !== "object" ||
+    Array.isArray(customerIdsObject)
+  ) {
+    turbine.logger.error(
+      "The customer IDs data element must return an object keyed by namespace."
+    );
+    return {};
+  }
+
+  let primaryNamespace;
+
+  return Object.keys(customerIdsObject).reduce((config, namespace) => {
+    const customerIdObject = customerIdsObject[namespace];
+    const reject = reason => {
+      turbine.logger.warn(
+        `The customer ID for namespace "${namespace}" was rejected. ${reason}`
+      );
+      return config;
+    };
+
+    if (!namespace) {
+      return reject("The namespace must not be empty.");
+    }
+
+    if (namespace === "ECID") {
+      return reject("ECID is not allowed.");
+    }
+
+    if (!customerIdObject || typeof customerIdObject !== "object") {
+      return reject("It must be an object.");
+    }
+
+    const { id } = customerIdObject;
+
+    if (typeof id !== "string" && typeof id !== "number") {
+      return reject("Its ID must be a string or a number.");
+    }
+
+    // The authenticated state defaults to ambiguous, like it does in Alloy,
+    // and is matched regardless of case.
+    const authenticatedState =
+      customerIdObject.authenticatedState === undefined
+        ? "ambiguous"
+        : authenticatedStates.filter(
+            state =>
+              state.toLowerCase() ===
+              String(customerIdObject.authenticatedState).toLowerCase()
+          )[0];
+
+    if (!authenticatedState) {
+      return reject(
+        `The authenticated state must be one of ${authenticatedStates.join(
+          ", "
+        )}.`
+      );
+    }
+
+    const { normalization, phoneCountryCode } = customerIdObject;
+
+    if (
+      normalization !== undefined &&
+      normalizations.indexOf(normalization) === -1
+    ) {
+      return reject(
+        `The normalization must be one of ${normalizations.join(", ")}.`
+      );
+    }
+
+    const primary = toBoolean(customerIdObject.primary);
+
+    if (primary && primaryNamespace) {
+      return reject(
+        `Only one namespace can be primary and "${primaryNamespace}" already is.`
+      );
+    }
+
+    if (primary) {
+      primaryNamespace = namespace;
+    }
+
+    config[namespace] = {
+      namespace,
+      id: String(id),
+      authenticatedState,
+      primary,
+      hashEnabled: toBoolean(customerIdObject.hashEnabled)
+    };
+
+    if (normalization) {
+      config[namespace].normalization = normalization;
+    }
+
+    if (phoneCountryCode !== undefined) {
+      config[namespace].phoneCountryCode = String(phoneCountryCode);
+    }
+
+    return config;
+  }, {});
+};
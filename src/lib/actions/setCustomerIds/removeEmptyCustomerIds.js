@@ -0,0 +1,43 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const isEmpty = value => value === undefined || value === null || value === "";
+
+/**
+ * Removes customer IDs whose ID is empty, which is commonly the case when
+ * the ID is provided by a data element and the visitor isn't logged in.
+ * @param {Object} customerIds Customer IDs keyed by namespace.
+ * @returns {Object} The customer IDs that have an ID.
+ */
+module.exports = customerIds => {
+  // Anything other than an object is left for validation to report.
+  if (!customerIds || typeof customerIds !== "object") {
+    return customerIds;
+  }
+
+  return Object.keys(customerIds).reduce((result, namespace) => {
+    const customerIdObject = customerIds[namespace];
+
+    if (
+      isEmpty(customerIdObject) ||
+      (typeof customerIdObject === "object" && isEmpty(customerIdObject.id))
+    ) {
+      turbine.logger.debug(
+        `The customer ID for namespace "${namespace}" was removed because its ID is empty.`
+      );
+    } else {
+      result[namespace] = customerIdObject;
+    }
+
+    return result;
+  }, {});
+};
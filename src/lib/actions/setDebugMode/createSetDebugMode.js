@@ -0,0 +1,46 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+// The value may come from a data element (for example, one reading a
+// QA cookie or query string parameter), in which case it's likely to
+// be a string rather than a boolean.
+const isEnabled = enabled => enabled === true || enabled === "true";
+
+module.exports = instanceManager => settings => {
+  const { instanceName, enabled } = settings;
+  const debugOptions = {
+    enabled: isEnabled(enabled)
+  };
+  let promise;
+
+  if (instanceName) {
+    const instanceAccessor = instanceManager.getAccessor(instanceName);
+
+    if (instanceAccessor) {
+      promise = instanceAccessor.instance("debug", debugOptions);
+    } else {
+      turbine.logger.error(
+        `Failed to set debug mode for instance "${instanceName}". No matching instance was configured with this name.`
+      );
+    }
+  } else {
+    promise = Promise.all(
+      instanceManager
+        .getAccessors()
+        .map(instanceAccessor =>
+          instanceAccessor.instance("debug", debugOptions)
+        )
+    );
+  }
+
+  return promise;
+};
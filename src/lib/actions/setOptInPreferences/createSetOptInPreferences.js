@@ -10,15 +10,28 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 
+const applyTimeout = require("../../utils/applyTimeout");
+
 module.exports = instanceManager => settings => {
-  const { instanceName, ...otherSettings } = settings;
+  const { instanceName, timeout, ...otherSettings } = settings;
   const instanceAccessor = instanceManager.getAccessor(instanceName);
+  let promise;
 
   if (instanceAccessor) {
-    instanceAccessor.instance("optIn", otherSettings);
+    promise = applyTimeout(
+      instanceAccessor.instance("optIn", otherSettings),
+      timeout,
+      () => {
+        turbine.logger.warn(
+          `Setting opt-in preferences for instance "${instanceName}" did not complete within ${timeout} ms. Continuing with the rule.`
+        );
+      }
+    );
   } else {
     turbine.logger.error(
       `Failed to set opt-in preferences for instance "${instanceName}". No matching instance was configured with this name.`
     );
   }
+
+  return promise;
 };
@@ -16,7 +16,18 @@ module.exports = instanceManager => settings => {
   let ecid;
 
   if (instanceAccessor) {
+    // Before the server has returned an ECID (for example, on the visitor's
+    // first page view) and no ECID can be found in cookies, the ECID
+    // is unknown. In that case, we return undefined so that Launch will
+    // fall back to the default value configured for the data element.
+    // Rules that need the ECID can use the ECID Available event instead.
     ecid = instanceAccessor.getEcid();
+
+    if (!ecid) {
+      turbine.logger.info(
+        `The ECID for instance "${instanceName}" is not yet available.`
+      );
+    }
   } else {
     turbine.logger.error(
       `Failed to retrieve ECID for instance "${instanceName}". No matching instance was configured with this name.`
@@ -0,0 +1,30 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+module.exports = (instanceManager, extensionVersion) => settings => {
+  const { instanceName } = settings;
+  const instanceAccessor = instanceManager.getAccessor(instanceName);
+  let libraryInfo;
+
+  if (instanceAccessor) {
+    libraryInfo = {
+      alloyVersion: instanceAccessor.getLibraryInfo().version,
+      extensionVersion
+    };
+  } else {
+    turbine.logger.error(
+      `Failed to retrieve library info for instance "${instanceName}". No matching instance was configured with this name.`
+    );
+  }
+
+  return libraryInfo;
+};
@@ -0,0 +1,33 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+module.exports = instanceManager => settings => {
+  const { instanceName, scope } = settings;
+  const instanceAccessor = instanceManager.getAccessor(instanceName);
+  let decisions;
+
+  if (instanceAccessor) {
+    // Until a view start response has been received, there are no
+    // decisions, in which case an empty array is returned.
+    decisions = instanceAccessor.getDecisions();
+
+    if (scope) {
+      decisions = decisions.filter(decision => decision.scope === scope);
+    }
+  } else {
+    turbine.logger.error(
+      `Failed to retrieve personalization decisions for instance "${instanceName}". No matching instance was configured with this name.`
+    );
+  }
+
+  return decisions;
+};
@@ -0,0 +1,45 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const isEmpty = value =>
+  value === undefined ||
+  value === null ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === "object" && Object.keys(value).length === 0);
+
+// Turbine has already replaced any data element tokens within the settings
+// by the time we get here. Data elements commonly resolve to empty values
+// (for example, a product SKU on a page that has no product), so we
+// drop empty values, then drop any objects and arrays left empty as a result,
+// so that we don't send empty branches to the server.
+const removeEmptyValues = value => {
+  if (Array.isArray(value)) {
+    return value.map(removeEmptyValues).filter(item => !isEmpty(item));
+  }
+
+  if (value !== null && typeof value === "object") {
+    return Object.keys(value).reduce((result, key) => {
+      const cleanedValue = removeEmptyValues(value[key]);
+
+      if (!isEmpty(cleanedValue)) {
+        result[key] = cleanedValue;
+      }
+
+      return result;
+    }, {});
+  }
+
+  return value;
+};
+
+module.exports = settings => removeEmptyValues(settings.xdm);
@@ -0,0 +1,45 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const groupPayloadsByType = response => {
+  const { handle = [] } = response;
+
+  return handle.reduce((payloadsByType, fragment) => {
+    const payloads = payloadsByType[fragment.type] || [];
+    payloadsByType[fragment.type] = payloads.concat(fragment.payload);
+    return payloadsByType;
+  }, {});
+};
+
+module.exports = instanceManager => (settings, trigger) => {
+  const { instanceName, payloadType } = settings;
+  const instanceAccessor = instanceManager.getAccessor(instanceName);
+
+  if (instanceAccessor) {
+    instanceAccessor.addEdgeResponseListener(response => {
+      const payloads = groupPayloadsByType(response);
+
+      if (!payloadType || payloads[payloadType]) {
+        trigger({
+          detail: {
+            instanceName,
+            payloads
+          }
+        });
+      }
+    });
+  } else {
+    turbine.logger.error(
+      `Failed to listen for edge responses for instance "${instanceName}". No matching instance was configured with this name.`
+    );
+  }
+};
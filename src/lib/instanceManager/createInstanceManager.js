@@ -10,6 +10,40 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 
+const instanceStatuses = require("../constants/instanceStatuses");
+const getEcidFromCookies = require("../utils/getEcidFromCookies");
+
+const getEcidFromResponse = response => {
+  const { handle = [] } = response;
+  let ecid;
+
+  handle
+    .filter(fragment => fragment.type === "identity:result")
+    .forEach(fragment => {
+      fragment.payload.forEach(payload => {
+        if (payload.namespace && payload.namespace.code === "ECID") {
+          ecid = payload.id;
+        }
+      });
+    });
+
+  return ecid;
+};
+
+// Settings may be provided by data elements, which commonly resolve to
+// empty values. Alloy rejects empty values for most options, so they're
+// treated as if they weren't provided.
+const removeEmptyValues = object =>
+  Object.keys(object).reduce((result, key) => {
+    const value = object[key];
+
+    if (value !== undefined && value !== null && value !== "") {
+      result[key] = value;
+    }
+
+    return result;
+  }, {});
+
 module.exports = (window, runAlloy, orgId) => {
   const accessorByInstanceName = {};
   const { instances } = turbine.getExtensionSettings();
@@ -17,22 +51,123 @@ module.exports = (window, runAlloy, orgId) => {
 
   runAlloy(names);
 
-  instances.forEach(({ name, ...options }) => {
-    const accessor = {};
-    window[name]("configure", {
-      ...options,
-      orgId: options.orgId || orgId,
+  instances.forEach(({ name, environmentOverrides = {}, ...options }) => {
+    const edgeResponseListeners = [];
+    const ecidListeners = [];
+    let status = { status: instanceStatuses.PENDING };
+    let ecid;
+    let getEcidFromAlloy = () => undefined;
+    // Overrides configured for the Launch environment (development,
+    // staging, or production) the library is running in take precedence.
+    const overrides = removeEmptyValues(
+      environmentOverrides[turbine.environment.stage] || {}
+    );
+    const instanceOrgId = overrides.orgId || options.orgId || orgId;
+    // The ECID is cached once found so that it remains available to data
+    // elements regardless of which source it came from. Listeners are
+    // notified the first time it is found.
+    // Listeners are registered by rules, so an error thrown by one
+    // listener is logged rather than allowed to affect other rules or the
+    // action that triggered the notification.
+    const notifyListeners = (listeners, value, description) => {
+      listeners.forEach(listener => {
+        try {
+          listener(value);
+        } catch (error) {
+          const reason = error && error.message ? error.message : String(error);
+          turbine.logger.error(
+            `Failed to notify ${description} listener for instance "${name}". ${reason}`
+          );
+        }
+      });
+    };
+    const cacheEcid = value => {
+      if (value && !ecid) {
+        ecid = value;
+        notifyListeners(ecidListeners, ecid, "an ECID");
+      }
+    };
+    const accessor = {
+      // Replaced once Alloy registers them while configuring the instance.
+      // These remain when configuring fails before then (e.g., when an
+      // option is invalid).
+      getDecisions: () => [],
+      getLibraryInfo: () => ({}),
+      getEcid() {
+        if (!ecid) {
+          cacheEcid(
+            getEcidFromAlloy() || getEcidFromCookies(window, instanceOrgId)
+          );
+        }
+        return ecid;
+      },
+      addEcidListener(listener) {
+        // The ECID may already be available from Alloy or the cookies
+        // (e.g., for returning visitors) even though no edge response has
+        // been received on this page.
+        if (accessor.getEcid()) {
+          listener(ecid);
+        } else {
+          ecidListeners.push(listener);
+        }
+      },
+      getStatus() {
+        return status;
+      },
+      addEdgeResponseListener(listener) {
+        edgeResponseListeners.push(listener);
+      },
+      notifyEdgeResponseListeners(response) {
+        cacheEcid(getEcidFromResponse(response));
+        notifyListeners(edgeResponseListeners, response, "an edge response");
+      }
+    };
+    const { onBeforeEventSendCode, ...configOptions } = options;
+    const configureOptions = {
+      ...removeEmptyValues(configOptions),
+      ...overrides,
+      orgId: instanceOrgId,
       // The Alloy build we're using for this extension
       // provides a backdoor to perform certain operations
       // synchronously, because Reactor requires that data
       // elements be resolved synchronously for now.
       reactorRegisterGetEcid(getEcid) {
-        accessor.getEcid = getEcid;
+        getEcidFromAlloy = getEcid;
       },
       reactorRegisterCreateEventMergeId(createEventMergeId) {
         accessor.createEventMergeId = createEventMergeId;
+      },
+      reactorRegisterGetDecisions(getDecisions) {
+        accessor.getDecisions = getDecisions;
+      },
+      reactorRegisterGetLibraryInfo(getLibraryInfo) {
+        accessor.getLibraryInfo = getLibraryInfo;
       }
-    });
+    };
+    // Custom code entered in the configuration view is compiled into a
+    // function by Launch (see the transforms in extension.json).
+    if (onBeforeEventSendCode) {
+      configureOptions.onBeforeEventSend = onBeforeEventSendCode;
+    }
+    // debugEnabled may be provided by a data element, in which case
+    // it may have resolved to a string.
+    if (options.debugEnabled !== undefined) {
+      configureOptions.debugEnabled =
+        options.debugEnabled === true || options.debugEnabled === "true";
+    }
+    window[name]("configure", configureOptions).then(
+      () => {
+        status = { status: instanceStatuses.CONFIGURED };
+        turbine.logger.info(`Instance "${name}" was configured successfully.`);
+      },
+      error => {
+        const reason = error && error.message ? error.message : String(error);
+        status = { status: instanceStatuses.FAILED, reason };
+        turbine.logger.error(
+          `Failed to configure instance "${name}". ${reason}`
+        );
+      }
+    );
     accessor.instance = window[name];
     accessorByInstanceName[name] = accessor;
   });
@@ -42,9 +177,27 @@ module.exports = (window, runAlloy, orgId) => {
      * @typedef {Object} Accessor
      * @property {Function} instance The Alloy instance.
      * @property {Function} getEcid A synchronous method for
-     * accessing the ECID.
+     * accessing the ECID. The ECID is read from Alloy, edge responses,
+     * or the identity and AMCV cookies, whichever provides it first.
+     * @property {Function} addEcidListener Registers a function to be
+     * called with the ECID once it is available. If the ECID is already
+     * available from any source, the function is called immediately.
      * @property {Function} createEventMergeId A synchronous
      * method for creating an event merge ID.
+     * @property {Function} getDecisions A synchronous method for
+     * accessing the personalization decisions from the latest
+     * view start.
+     * @property {Function} getLibraryInfo A synchronous method for
+     * accessing information about the Alloy library, such as its version.
+     * @property {Function} getStatus Returns the result of configuring
+     * the instance as an object with a status of "pending", "configured",
+     * or "failed". When the status is "failed", the object also contains
+     * the reason for the failure.
+     * @property {Function} addEdgeResponseListener Registers a
+     * function to be called with the response content whenever
+     * an event sent through the instance receives a response.
+     * @property {Function} notifyEdgeResponseListeners Calls all
+     * registered edge response listeners with the response content.
      */
     /**
      * Returns an accessor for accessing instance-based things.
@@ -53,6 +206,13 @@ module.exports = (window, runAlloy, orgId) => {
      */
     getAccessor(name) {
       return accessorByInstanceName[name];
+    },
+    /**
+     * Returns the accessors for all configured instances.
+     * @returns {Array<Accessor>}
+     */
+    getAccessors() {
+      return names.map(name => accessorByInstanceName[name]);
     }
   };
 };
@@ -2545,7 +2545,14 @@ var createDataCollector = function createDataCollector(_ref) {
             _options$documentUnlo = options.documentUnloading,
             documentUnloading = _options$documentUnlo === void 0 ? false : _options$documentUnlo,
             type = options.type,
-            mergeId = options.mergeId;
+            mergeId = options.mergeId,
+            datasetId = options.datasetId,
+            schemaId = options.schemaId; // LOCAL PATCH: datasetId and schemaId are
+        // accepted per event so the Reactor extension's Send Event action can
+        // override the configured values. They're applied as data collection
+        // overrides in eventManager.sendEvent. Both must be reapplied when
+        // Alloy is upgraded.
+
         var event = eventManager.createEvent();
 
         if (documentUnloading) {
@@ -2577,7 +2584,19 @@ var createDataCollector = function createDataCollector(_ref) {
         }
 
         return eventManager.sendEvent(event, {
-          isViewStart: viewStart
+          isViewStart: viewStart,
+          datasetId: datasetId,
+          schemaId: schemaId
+        }).then(function (response) {
+          // LOCAL PATCH: The Reactor extension needs access to the response so
+          // that rules can react to what the server returned. We resolve with
+          // the plain response content rather than the response object
+          // so that it can be safely handed to customer code. Note that this
+          // changes what the public event command resolves with (Alloy
+          // resolves with undefined), including for callers of window.alloy.
+          // This and the response returned by sendEdgeNetworkRequest must be
+          // reapplied when Alloy is upgraded.
+          return response ? response.toJSON() : undefined;
         });
       }
     }
@@ -3649,9 +3668,19 @@ var createComponent = (function (processIdSyncs, config, logger, consent, eventM
       orgId = config.orgId;
   var identityCookieName = getNamespacedCookieName(orgId, IDENTITY_COOKIE_KEY);
   var deferredForEcid;
+  var ecid;
   var migration = createMigration({
     orgId: orgId,
     consent: consent
+  }); // LOCAL PATCH: This is a way for the ECID data element in the Reactor
+  // extension to get the ECID synchronously since data elements are required
+  // to be synchronous. Until the server has returned the ECID, we fall
+  // back to the ECID found in legacy cookies (if migration is enabled).
+  // Alloy builds don't call reactorRegisterGetEcid, so this (and capturing
+  // the ECID in onResponse below) must be reapplied when Alloy is upgraded.
+
+  config.reactorRegisterGetEcid(function () {
+    return ecid || idMigrationEnabled && migration.getEcidFromLegacyCookies() || undefined;
   });
 
   var hasIdentityCookie = function hasIdentityCookie() {
@@ -3745,15 +3774,17 @@ var createComponent = (function (processIdSyncs, config, logger, consent, eventM
       },
       onResponse: function onResponse(_ref4) {
         var response = _ref4.response;
-        var promises = [];
+        var promises = []; // LOCAL PATCH: The ECID is captured for reactorRegisterGetEcid above.
 
-        if (idMigrationEnabled) {
-          var identityResultPayloads = response.getPayloadsByType("identity:result");
-          var ecidPayload = find(identityResultPayloads, function (payload) {
-            return payload.namespace && payload.namespace.code === ecidNamespace;
-          });
+        var identityResultPayloads = response.getPayloadsByType("identity:result");
+        var ecidPayload = find(identityResultPayloads, function (payload) {
+          return payload.namespace && payload.namespace.code === ecidNamespace;
+        });
+
+        if (ecidPayload) {
+          ecid = ecidPayload.id;
 
-          if (ecidPayload) {
+          if (idMigrationEnabled) {
             promises.push(migration.createLegacyCookie(ecidPayload.id));
           }
         } // If we were queuing requests until we received the identity cookie,
@@ -5136,12 +5167,20 @@ var createPersonalization = function createPersonalization(_ref) {
   var authoringModeEnabled = isAuthoringMode();
   var collect = createCollect(eventManager);
   var storage = [];
+  var decisions = [];
 
   var store = function store(value) {
     return storage.push(value);
   };
 
-  var ruleComponentModules = initRuleComponentModules(collect, store);
+  var ruleComponentModules = initRuleComponentModules(collect, store); // LOCAL PATCH: This is a way for the decisions data element in the Reactor
+  // extension to get the decisions from the latest view start synchronously
+  // since data elements are required to be synchronous. A copy is returned
+  // so that data element consumers can't modify the decisions held here.
+
+  config.reactorRegisterGetDecisions(function () {
+    return decisions.slice();
+  });
 
   var disablePersonalization = function disablePersonalization(payload) {
     payload.mergeConfigOverrides({
@@ -5168,6 +5207,8 @@ var createPersonalization = function createPersonalization(_ref) {
           // If NOT isViewStart disable personalization
           disablePersonalization(payload);
         } else {
+          // Decisions from a previous view no longer apply.
+          decisions = [];
           event.expectResponse(); // For viewStart we try to hide the personalization containers
 
           hideContainers(prehidingStyle);
@@ -5180,7 +5221,13 @@ var createPersonalization = function createPersonalization(_ref) {
           return;
         }
 
-        var fragments = response.getPayloadsByType(DECISIONS_HANDLE);
+        var fragments = response.getPayloadsByType(DECISIONS_HANDLE); // Personalization is disabled for any event that isn't the start of
+        // a view, so only view start responses contain decisions.
+
+        if (fragments.length) {
+          decisions = fragments;
+        }
+
         executeFragments(fragments, ruleComponentModules, logger);
         showContainers();
       },
@@ -5203,7 +5250,8 @@ var createPersonalization = function createPersonalization(_ref) {
 
 createPersonalization.namespace = "Personalization";
 createPersonalization.configValidators = {
-  prehidingStyle: boundString().nonEmpty()
+  prehidingStyle: boundString().nonEmpty(),
+  reactorRegisterGetDecisions: boundCallback().default(function () {})
 };
 
 /*
@@ -5589,19 +5637,32 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 
-var createLibraryInfo = function createLibraryInfo() {
+var createLibraryInfo = function createLibraryInfo(_ref) {
+  var config = _ref.config;
+
+  var getLibraryInfo = function getLibraryInfo() {
+    return {
+      version: libraryVersion
+    };
+  }; // LOCAL PATCH: This is a way for the library info data element in the
+  // Reactor extension to get the library info synchronously since data
+  // elements are required to be synchronous. Alloy builds don't call
+  // reactorRegisterGetLibraryInfo, so this must be reapplied when Alloy is
+  // upgraded.
+
+
+  config.reactorRegisterGetLibraryInfo(getLibraryInfo);
   return {
     commands: {
-      getLibraryInfo: function getLibraryInfo() {
-        return {
-          version: libraryVersion
-        };
-      }
+      getLibraryInfo: getLibraryInfo
     }
   };
 };
 
 createLibraryInfo.namespace = "LibraryInfo";
+createLibraryInfo.configValidators = {
+  reactorRegisterGetLibraryInfo: boundCallback().default(function () {})
+};
 
 /*
 Copyright 2019 Adobe. All rights reserved.
@@ -6054,6 +6115,10 @@ var createEventManager = (function (_ref) {
      * @param {boolean} [options.isViewStart=false] Whether the event is a
      * result of the start of a view. This will be passed to components
      * so they can take appropriate action.
+     * @param {string} [options.datasetId] Overrides the configured dataset
+     * ID for this event.
+     * @param {string} [options.schemaId] Overrides the configured schema
+     * ID for this event.
      * @returns {*}
      */
     sendEvent: function sendEvent(event) {
@@ -6063,6 +6128,25 @@ var createEventManager = (function (_ref) {
           isViewStart = _options$isViewStart === void 0 ? false : _options$isViewStart;
       var payload = createDataCollectionRequestPayload();
       addMetaTo(payload);
+      // LOCAL PATCH: Per-event dataset and schema IDs (see createDataCollector).
+      var dataCollectionOverrides = Object.create(null);
+      assignIf(dataCollectionOverrides, {
+        datasetId: options.datasetId
+      }, function () {
+        return options.datasetId;
+      });
+      assignIf(dataCollectionOverrides, {
+        schemaId: options.schemaId
+      }, function () {
+        return options.schemaId;
+      });
+
+      if (!isEmptyObject(dataCollectionOverrides)) {
+        payload.mergeConfigOverrides({
+          dataCollection: dataCollectionOverrides
+        });
+      }
+
       return lifecycle.onBeforeEvent({
         event: event,
         isViewStart: isViewStart,
@@ -6356,7 +6440,11 @@ var sendEdgeNetworkRequestFactory = (function (_ref) {
         if (!result.success) {
           var messageSuffix = result.body ? "response body: " + result.body : "no response body.";
           throw new Error("Unexpected server response with status code " + result.statusCode + " and " + messageSuffix);
-        }
+        } // LOCAL PATCH: The response is returned so that the event command can
+        // resolve with it (see createDataCollector).
+
+
+        return response;
       });
     });
   };
@@ -0,0 +1,47 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/**
+ * Returns a promise that is settled the same way as the given promise.
+ * If the given promise is not settled within the timeout, however, the
+ * returned promise is resolved anyway after onTimeout is called. This
+ * allows Turbine to continue executing the remaining actions of a rule
+ * rather than waiting indefinitely on a request that may never complete.
+ * @param {Promise} promise The promise to apply the timeout to.
+ * @param {number} [timeout] The number of milliseconds to wait. If
+ * not provided, the given promise is returned unchanged.
+ * @param {Function} onTimeout Called when the timeout is reached.
+ * @returns {Promise}
+ */
+module.exports = (promise, timeout, onTimeout) => {
+  if (!timeout) {
+    return promise;
+  }
+
+  return new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(() => {
+      onTimeout();
+      resolve();
+    }, timeout);
+
+    promise.then(
+      value => {
+        clearTimeout(timeoutId);
+        resolve(value);
+      },
+      error => {
+        clearTimeout(timeoutId);
+        reject(error);
+      }
+    );
+  });
+};
@@ -0,0 +1,54 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const encodeText = (window, text) => {
+  if (window.TextEncoder) {
+    return new window.TextEncoder().encode(text);
+  }
+
+  // IE 11 doesn't have TextEncoder.
+  const utf8Text = unescape(encodeURIComponent(text));
+  return new Uint8Array(utf8Text.split("").map(char => char.charCodeAt(0)));
+};
+
+const convertBufferToHex = buffer =>
+  Array.prototype.map
+    .call(new Uint8Array(buffer), byte => `00${byte.toString(16)}`.slice(-2))
+    .join("");
+
+/**
+ * Hashes text using the SHA-256 algorithm.
+ * @param {Object} window
+ * @param {string} text The text to hash.
+ * @returns {Promise|undefined} A promise resolved with the hash as a
+ * hexadecimal string or, if the browser doesn't support hashing (for
+ * example, when the page is served over HTTP), undefined.
+ */
+module.exports = (window, text) => {
+  const crypto = window.msCrypto || window.crypto;
+
+  if (!crypto || !crypto.subtle) {
+    return undefined;
+  }
+
+  const result = crypto.subtle.digest("SHA-256", encodeText(window, text));
+
+  // IE 11 returns a CryptoOperation object instead of a promise.
+  const promise = result.then
+    ? result
+    : new Promise((resolve, reject) => {
+        result.addEventListener("complete", () => resolve(result.result));
+        result.addEventListener("error", reject);
+      });
+
+  return promise.then(convertBufferToHex);
+};
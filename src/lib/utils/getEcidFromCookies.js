@@ -0,0 +1,84 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const ECID_REGEX = /^\d+$/;
+
+const getCookie = (document, name) => {
+  const prefix = `${name}=`;
+  const match = document.cookie
+    .split(/;\s*/)
+    .filter(cookie => cookie.indexOf(prefix) === 0)[0];
+
+  return match ? decodeURIComponent(match.substring(prefix.length)) : null;
+};
+
+// The identity cookie may be encoded using the URL-safe base64 alphabet
+// and without padding, neither of which atob supports.
+const toStandardBase64 = value => {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  const paddingLength = (4 - (base64.length % 4)) % 4;
+
+  return base64 + "===".substring(0, paddingLength);
+};
+
+// The identity cookie set by the Edge is a base64-encoded protocol buffer
+// message whose first field holds the ECID as a length-prefixed string.
+const getEcidFromIdentityCookie = (window, value) => {
+  let decoded;
+
+  try {
+    decoded = window.atob(toStandardBase64(value));
+  } catch (e) {
+    return undefined;
+  }
+
+  if (decoded.charCodeAt(0) !== 0x0a) {
+    return undefined;
+  }
+
+  const length = decoded.charCodeAt(1);
+  const ecid = decoded.substr(2, length);
+
+  return ECID_REGEX.test(ecid) ? ecid : undefined;
+};
+
+// The AMCV cookie is written by Alloy when migrating from visitor.js and
+// has the format "MCMID|<ecid>".
+const getEcidFromAmcvCookie = value => {
+  const matches = value.match(/(^|\|)MCMID\|(\d+)($|\|)/);
+  return matches ? matches[2] : undefined;
+};
+
+/**
+ * Reads the ECID from the identity cookie set by the Edge or, when that
+ * cannot be read, from the AMCV cookie.
+ * @param {Object} window
+ * @param {string} orgId The IMS org ID the cookies are namespaced by.
+ * @returns {string|undefined}
+ */
+module.exports = (window, orgId) => {
+  const identityCookieValue = getCookie(
+    window.document,
+    `kndctr_${orgId.replace("@", "_")}_identity`
+  );
+  const ecid =
+    identityCookieValue &&
+    getEcidFromIdentityCookie(window, identityCookieValue);
+
+  if (ecid) {
+    return ecid;
+  }
+
+  const amcvCookieValue = getCookie(window.document, `AMCV_${orgId}`);
+
+  return amcvCookieValue ? getEcidFromAmcvCookie(amcvCookieValue) : undefined;
+};
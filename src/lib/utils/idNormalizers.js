@@ -0,0 +1,68 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+// Normalizers for identifiers that are hashed, so that the hashes match
+// those of identifiers normalized the same way elsewhere (for example,
+// when uploaded from a CRM). Each normalizer returns undefined when the
+// identifier can't be normalized.
+
+const GMAIL_DOMAINS = ["gmail.com", "googlemail.com"];
+
+const email = id => {
+  const address = id.trim().toLowerCase();
+  const atIndex = address.lastIndexOf("@");
+
+  if (atIndex < 1 || atIndex === address.length - 1) {
+    return undefined;
+  }
+
+  let localPart = address.slice(0, atIndex);
+  let domain = address.slice(atIndex + 1);
+
+  // Gmail ignores dots in the local part and anything after a plus sign,
+  // so addresses differing only by those are the same mailbox.
+  if (GMAIL_DOMAINS.indexOf(domain) !== -1) {
+    localPart = localPart.split("+")[0].replace(/\./g, "");
+    domain = "gmail.com";
+  }
+
+  return localPart ? `${localPart}@${domain}` : undefined;
+};
+
+// Formats the phone number using E.164 (for example, +14155550123).
+// Numbers without an international prefix (+ or 00) are prefixed with
+// the country calling code after removing any leading trunk prefix (0).
+const phone = (id, countryCode) => {
+  const digits = id.replace(/\D/g, "");
+  let formattedNumber;
+
+  if (/^\s*\+/.test(id)) {
+    formattedNumber = `+${digits}`;
+  } else if (digits.indexOf("00") === 0) {
+    formattedNumber = `+${digits.slice(2)}`;
+  } else if (countryCode) {
+    formattedNumber = `+${countryCode}${digits.replace(/^0+/, "")}`;
+  }
+
+  return formattedNumber && /^\+[1-9]\d{6,14}$/.test(formattedNumber)
+    ? formattedNumber
+    : undefined;
+};
+
+// Removes whitespace and ASCII punctuation.
+const strip = id => id.replace(/[\s!-/:-@[-`{-~]/g, "") || undefined;
+
+module.exports = {
+  email,
+  phone,
+  strip
+};
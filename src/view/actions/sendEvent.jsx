@@ -26,22 +26,35 @@ import getInstanceOptions from "../utils/getInstanceOptions";
 import singleDataElementRegex from "../constants/singleDataElementRegex";
 import "./sendEvent.styl";
 import InfoTipLayout from "../components/infoTipLayout";
+import TimeoutField, {
+  timeoutValidationSchema
+} from "../components/timeoutField";
 
 const getInitialValues = ({ initInfo }) => {
   const {
     instanceName = initInfo.extensionSettings.instances[0].name,
     viewStart = false,
+    documentUnloading = false,
     xdm = "",
+    data = "",
     type = "",
-    mergeId = ""
+    mergeId = "",
+    datasetId = "",
+    schemaId = "",
+    timeout = ""
   } = initInfo.settings || {};
 
   return {
     instanceName,
     viewStart,
+    documentUnloading,
     xdm,
+    data,
     type,
-    mergeId
+    mergeId,
+    datasetId,
+    schemaId,
+    timeout: String(timeout)
   };
 };
 
@@ -53,23 +66,48 @@ const getSettings = ({ values }) => {
   if (values.xdm) {
     settings.xdm = values.xdm;
   }
+  if (values.data) {
+    settings.data = values.data;
+  }
   if (values.type) {
     settings.type = values.type;
   }
   if (values.mergeId) {
     settings.mergeId = values.mergeId;
   }
+  if (values.datasetId) {
+    settings.datasetId = values.datasetId;
+  }
+  if (values.schemaId) {
+    settings.schemaId = values.schemaId;
+  }
+  if (values.timeout) {
+    settings.timeout = Number(values.timeout);
+  }
 
   // Only add viewStart if the value is different than the default (false).
   if (values.viewStart) {
     settings.viewStart = true;
   }
 
+  // Only add documentUnloading if the value is different than the default (false).
+  if (values.documentUnloading) {
+    settings.documentUnloading = true;
+  }
+
   return settings;
 };
 
 const validationSchema = object().shape({
-  xdm: string().matches(singleDataElementRegex, "Please specify a data element")
+  xdm: string().matches(
+    singleDataElementRegex,
+    "Please specify a data element"
+  ),
+  data: string().matches(
+    singleDataElementRegex,
+    "Please specify a data element"
+  ),
+  timeout: timeoutValidationSchema
 });
 
 const knownEventTypes = [
@@ -154,6 +192,24 @@ const SendEvent = () => {
                 />
               </div>
             </div>
+            <div className="u-gapTop">
+              <InfoTipLayout
+                tip="Please specify a data element that will return a JavaScript
+                  object containing any data that is not in XDM format. This
+                  object will be sent to the Adobe Experience Platform."
+              >
+                <FieldLabel labelFor="dataField" label="Data (optional)" />
+              </InfoTipLayout>
+              <div>
+                <WrappedField
+                  id="dataField"
+                  name="data"
+                  component={Textfield}
+                  componentClassName="u-fieldLong"
+                  supportDataElement="replace"
+                />
+              </div>
+            </div>
             <div className="u-gapTop">
               <InfoTipLayout
                 tip="The merge ID of the experience event. This will be added to
@@ -174,6 +230,40 @@ const SendEvent = () => {
                 />
               </div>
             </div>
+            <div className="u-gapTop">
+              <InfoTipLayout tip="The ID of the dataset this event should be sent to. When provided, this overrides the dataset ID configured for the instance.">
+                <FieldLabel
+                  labelFor="datasetIdField"
+                  label="Dataset ID (optional)"
+                />
+              </InfoTipLayout>
+              <div>
+                <WrappedField
+                  id="datasetIdField"
+                  name="datasetId"
+                  component={Textfield}
+                  componentClassName="u-fieldLong"
+                  supportDataElement="replace"
+                />
+              </div>
+            </div>
+            <div className="u-gapTop">
+              <InfoTipLayout tip="The ID of the XDM schema this event should be validated against. When provided, this overrides the schema ID configured for the instance.">
+                <FieldLabel
+                  labelFor="schemaIdField"
+                  label="Schema ID (optional)"
+                />
+              </InfoTipLayout>
+              <div>
+                <WrappedField
+                  id="schemaIdField"
+                  name="schemaId"
+                  component={Textfield}
+                  componentClassName="u-fieldLong"
+                  supportDataElement="replace"
+                />
+              </div>
+            </div>
             <div className="u-gapTop">
               <InfoTipLayout tip="Influences whether the SDK should retrieve and render personalization content, among other things.">
                 <WrappedField
@@ -183,6 +273,21 @@ const SendEvent = () => {
                 />
               </InfoTipLayout>
             </div>
+            <div className="u-gapTop">
+              <InfoTipLayout
+                tip="Indicates that the document will unload, such as when the
+                  user clicks an exit link. The SDK will use the browser's
+                  sendBeacon API so the request completes after the page has
+                  unloaded. Personalization content will not be returned."
+              >
+                <WrappedField
+                  name="documentUnloading"
+                  component={Checkbox}
+                  label="Document will unload"
+                />
+              </InfoTipLayout>
+            </div>
+            <TimeoutField />
           </div>
         );
       }}
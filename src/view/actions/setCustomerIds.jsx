@@ -13,29 +13,94 @@ governing permissions and limitations under the License.
 import "regenerator-runtime"; // needed for some of react-spectrum
 import React from "react";
 import { array, object, string } from "yup";
+import Checkbox from "@react/react-spectrum/Checkbox";
 import "@react/react-spectrum/Form"; // needed for spectrum form styles
 import render from "../render";
 import ExtensionView from "../components/extensionView";
+import WrappedField from "../components/wrappedField";
+import InfoTipLayout from "../components/infoTipLayout";
 import "./setCustomerIds.styl";
 import CustomerIdWrapper from "../components/customerIdWrapper";
+import TimeoutField, {
+  timeoutValidationSchema
+} from "../components/timeoutField";
 import getDefaultCustomerId from "../utils/getDefaultCustomerId";
+import customerIdsTypeEnum from "../constants/customerIdsTypeEnum";
+import singleDataElementRegex from "../constants/singleDataElementRegex";
 
 const getInitialValues = ({ initInfo }) => {
-  const { instanceName = initInfo.extensionSettings.instances[0].name } =
-    initInfo.settings || {};
+  const {
+    instanceName = initInfo.extensionSettings.instances[0].name,
+    timeout = "",
+    forceSync = false,
+    customerIds
+  } = initInfo.settings || {};
+  // customerIds may be saved as an array of customer IDs or as a data
+  // element token.
+  const isDataElement = typeof customerIds === "string";
 
   return {
     instanceName,
-    customerIds: (initInfo.settings && initInfo.settings.customerIds) || [
-      getDefaultCustomerId()
-    ]
+    timeout: String(timeout),
+    forceSync,
+    customerIdsType: isDataElement
+      ? customerIdsTypeEnum.DATA_ELEMENT
+      : customerIdsTypeEnum.LIST,
+    customerIdsDataElement: isDataElement ? customerIds : "",
+    // Formik requires all fields to have initial values, so defaults are
+    // copied for properties that weren't saved.
+    customerIds: Array.isArray(customerIds)
+      ? customerIds.map(customerId => ({
+          ...getDefaultCustomerId(),
+          ...customerId
+        }))
+      : [getDefaultCustomerId()]
   };
 };
 
 const getSettings = ({ values }) => {
-  return values;
+  const {
+    timeout,
+    forceSync,
+    customerIdsType,
+    customerIdsDataElement,
+    ...settings
+  } = values;
+
+  if (customerIdsType === customerIdsTypeEnum.DATA_ELEMENT) {
+    settings.customerIds = customerIdsDataElement;
+  } else {
+    settings.customerIds = settings.customerIds.map(
+      ({ normalization, phoneCountryCode, ...customerId }) => {
+        // Normalization only applies to customer IDs that are hashed.
+        if (customerId.hashEnabled && normalization !== "none") {
+          customerId.normalization = normalization;
+
+          if (normalization === "phone" && phoneCountryCode) {
+            customerId.phoneCountryCode = phoneCountryCode;
+          }
+        }
+
+        return customerId;
+      }
+    );
+  }
+
+  // Only add forceSync if the value is different than the default (false).
+  if (forceSync) {
+    settings.forceSync = true;
+  }
+
+  if (timeout) {
+    settings.timeout = Number(timeout);
+  }
+
+  return settings;
 };
 
+const customerIdsDataElementValidationMessage =
+  "Please specify a data element.";
+
 const validateDuplicateValue = (
   createError,
   customerIds,
@@ -61,31 +126,56 @@ const validateDuplicateValue = (
 const validationSchema = object()
   .shape({
     instanceName: string().required("Please specify an instance name."),
-    customerIds: array().of(
-      object().shape({
-        namespace: string()
-          .required("Please select a namespace.")
-          .test({
-            name: "notECID",
-            message: "ECID is not allowed",
-            test(value) {
-              return value !== "ECID";
-            }
-          }),
-        id: string().required("Please specify an ID."),
-        authenticatedState: string().required(
-          "Please select an authenticated state."
+    customerIds: array().when("customerIdsType", {
+      is: customerIdsTypeEnum.LIST,
+      then: array().of(
+        object().shape({
+          namespace: string()
+            .required("Please select a namespace.")
+            .test({
+              name: "notECID",
+              message: "ECID is not allowed",
+              test(value) {
+                return value !== "ECID";
+              }
+            }),
+          id: string().required("Please specify an ID."),
+          authenticatedState: string().required(
+            "Please select an authenticated state."
+          ),
+          phoneCountryCode: string().matches(/^[1-9]\d{0,2}$/, {
+            message:
+              "Please specify a country calling code of up to three digits.",
+            excludeEmptyString: true
+          })
+        })
+      )
+    }),
+    customerIdsDataElement: string().when("customerIdsType", {
+      is: customerIdsTypeEnum.DATA_ELEMENT,
+      then: string()
+        .required(customerIdsDataElementValidationMessage)
+        .matches(
+          singleDataElementRegex,
+          customerIdsDataElementValidationMessage
         )
-      })
-    )
+    }),
+    timeout: timeoutValidationSchema
   })
   // TestCafe doesn't allow this to be an arrow function because of
   // how it scopes "this".
   // eslint-disable-next-line func-names
   .test("uniqueNamespace", function(settings) {
+    if (settings.customerIdsType !== customerIdsTypeEnum.LIST) {
+      return true;
+    }
+
+    // Namespaces that only differ by case are treated as duplicates.
     return validateDuplicateValue(
       this.createError.bind(this),
-      settings.customerIds,
+      settings.customerIds.map(customerId => ({
+        namespace: (customerId.namespace || "").toLowerCase()
+      })),
       "namespace",
       "Please provide a unique namespace."
     );
@@ -94,6 +184,10 @@ const validationSchema = object()
   // how it scopes "this".
   // eslint-disable-next-line func-names
   .test("uniquePrimary", function(settings) {
+    if (settings.customerIdsType !== customerIdsTypeEnum.LIST) {
+      return true;
+    }
+
     return validateDuplicateValue(
       this.createError.bind(this),
       settings.customerIds,
@@ -112,7 +206,21 @@ const SetCustomerIds = () => {
       render={({ formikProps, initInfo }) => {
         const { values } = formikProps;
 
-        return <CustomerIdWrapper values={values} initInfo={initInfo} />;
+        return (
+          <div>
+            <CustomerIdWrapper values={values} initInfo={initInfo} />
+            <div className="u-gapTop">
+              <InfoTipLayout tip="By default, customer IDs are not set again when they have not changed since they were last set on the current page, which avoids sending redundant requests when this action runs more than once per page. Enable this to set customer IDs every time this action runs.">
+                <WrappedField
+                  name="forceSync"
+                  component={Checkbox}
+                  label="Set customer IDs even when they have not changed"
+                />
+              </InfoTipLayout>
+            </div>
+            <TimeoutField />
+          </div>
+        );
       }}
     />
   );
@@ -0,0 +1,167 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import "regenerator-runtime"; // needed for some of react-spectrum
+import React from "react";
+import Select from "@react/react-spectrum/Select";
+import RadioGroup from "@react/react-spectrum/RadioGroup";
+import Radio from "@react/react-spectrum/Radio";
+import Textfield from "@react/react-spectrum/Textfield";
+import FieldLabel from "@react/react-spectrum/FieldLabel";
+import "@react/react-spectrum/Form"; // needed for spectrum form styles
+import { object, string } from "yup";
+import render from "../render";
+import WrappedField from "../components/wrappedField";
+import ExtensionView from "../components/extensionView";
+import getInstanceOptions from "../utils/getInstanceOptions";
+import singleDataElementRegex from "../constants/singleDataElementRegex";
+import "./setDebugMode.styl";
+import InfoTipLayout from "../components/infoTipLayout";
+
+const instancesEnum = {
+  ALL: "all",
+  SINGLE: "single"
+};
+
+const enabledEnum = {
+  ENABLE: "enable",
+  DISABLE: "disable",
+  DATA_ELEMENT: "dataElement"
+};
+
+const getInitialValues = ({ initInfo }) => {
+  const { instanceName, enabled = true } = initInfo.settings || {};
+
+  const initialValues = {
+    instances: instanceName ? instancesEnum.SINGLE : instancesEnum.ALL,
+    instanceName: instanceName || initInfo.extensionSettings.instances[0].name
+  };
+
+  if (typeof enabled === "boolean") {
+    initialValues.enabled = enabled ? enabledEnum.ENABLE : enabledEnum.DISABLE;
+    initialValues.enabledDataElement = "";
+  } else {
+    initialValues.enabled = enabledEnum.DATA_ELEMENT;
+    initialValues.enabledDataElement = enabled;
+  }
+
+  return initialValues;
+};
+
+const getSettings = ({ values }) => {
+  const { instances, instanceName, enabled, enabledDataElement } = values;
+  const settings = {};
+
+  if (instances === instancesEnum.SINGLE) {
+    settings.instanceName = instanceName;
+  }
+
+  if (enabled === enabledEnum.DATA_ELEMENT) {
+    settings.enabled = enabledDataElement;
+  } else {
+    settings.enabled = enabled === enabledEnum.ENABLE;
+  }
+
+  return settings;
+};
+
+const invalidDataMessage = "Please specify a data element";
+const validationSchema = object().shape({
+  enabledDataElement: string().when("enabled", {
+    is: enabledEnum.DATA_ELEMENT,
+    then: string()
+      .required(invalidDataMessage)
+      .matches(singleDataElementRegex, invalidDataMessage)
+  })
+});
+
+const SetDebugMode = () => {
+  return (
+    <ExtensionView
+      getInitialValues={getInitialValues}
+      getSettings={getSettings}
+      validationSchema={validationSchema}
+      render={({ initInfo, formikProps }) => {
+        return (
+          <div>
+            <div>
+              <FieldLabel labelFor="instancesField" label="Apply to:" />
+              <WrappedField
+                id="instancesField"
+                name="instances"
+                component={RadioGroup}
+                componentClassName="u-flexColumn"
+              >
+                <Radio value={instancesEnum.ALL} label="All instances" />
+                <Radio
+                  value={instancesEnum.SINGLE}
+                  label="A specific instance"
+                />
+              </WrappedField>
+            </div>
+            {formikProps.values.instances === instancesEnum.SINGLE ? (
+              <div className="FieldSubset u-gapTop">
+                <FieldLabel labelFor="instanceNameField" label="Instance" />
+                <div>
+                  <WrappedField
+                    id="instanceNameField"
+                    name="instanceName"
+                    component={Select}
+                    componentClassName="u-fieldLong"
+                    options={getInstanceOptions(initInfo)}
+                  />
+                </div>
+              </div>
+            ) : null}
+            <div className="u-gapTop">
+              <FieldLabel labelFor="enabledField" label="Debug mode:" />
+              <WrappedField
+                id="enabledField"
+                name="enabled"
+                component={RadioGroup}
+                componentClassName="u-flexColumn"
+              >
+                <Radio value={enabledEnum.ENABLE} label="Enable" />
+                <Radio value={enabledEnum.DISABLE} label="Disable" />
+                <Radio
+                  value={enabledEnum.DATA_ELEMENT}
+                  label="Provided by data element"
+                />
+              </WrappedField>
+            </div>
+            {formikProps.values.enabled === enabledEnum.DATA_ELEMENT ? (
+              <div className="FieldSubset u-gapTop">
+                <InfoTipLayout tip='The data element should return true or "true" to enable debug mode. Any other value will disable debug mode.'>
+                  <FieldLabel
+                    labelFor="enabledDataElementField"
+                    label="Data Element"
+                  />
+                </InfoTipLayout>
+                <div>
+                  <WrappedField
+                    id="enabledDataElementField"
+                    name="enabledDataElement"
+                    component={Textfield}
+                    componentClassName="u-fieldLong"
+                    supportDataElement="replace"
+                  />
+                </div>
+              </div>
+            ) : null}
+          </div>
+        );
+      }}
+    />
+  );
+};
+
+render(SetDebugMode);
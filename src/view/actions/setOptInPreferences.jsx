@@ -27,6 +27,9 @@ import getInstanceOptions from "../utils/getInstanceOptions";
 import singleDataElementRegex from "../constants/singleDataElementRegex";
 import "./setOptInPreferences.styl";
 import InfoTipLayout from "../components/infoTipLayout";
+import TimeoutField, {
+  timeoutValidationSchema
+} from "../components/timeoutField";
 
 const purposesEnum = {
   ALL: "all",
@@ -37,11 +40,13 @@ const purposesEnum = {
 const getInitialValues = ({ initInfo }) => {
   const {
     instanceName = initInfo.extensionSettings.instances[0].name,
-    purposes = purposesEnum.ALL
+    purposes = purposesEnum.ALL,
+    timeout = ""
   } = initInfo.settings || {};
 
   const initialValues = {
-    instanceName
+    instanceName,
+    timeout: String(timeout)
   };
 
   if (purposes === purposesEnum.ALL || purposes === purposesEnum.NONE) {
@@ -56,13 +61,18 @@ const getInitialValues = ({ initInfo }) => {
 };
 
 const getSettings = ({ values }) => {
-  const { instanceName, purposes, purposesDataElement } = values;
-
-  return {
+  const { instanceName, purposes, purposesDataElement, timeout } = values;
+  const settings = {
     instanceName,
     purposes:
       purposes === purposesEnum.DATA_ELEMENT ? purposesDataElement : purposes
   };
+
+  if (timeout) {
+    settings.timeout = Number(timeout);
+  }
+
+  return settings;
 };
 
 const isOptInEnabled = (initInfo, formikProps) => {
@@ -79,7 +89,8 @@ const validationSchema = object().shape({
     then: string()
       .required(invalidDataMessage)
       .matches(singleDataElementRegex, invalidDataMessage)
-  })
+  }),
+  timeout: timeoutValidationSchema
 });
 
 const SetOptInPreferences = () => {
@@ -153,6 +164,7 @@ const SetOptInPreferences = () => {
                 </div>
               </div>
             ) : null}
+            <TimeoutField />
           </div>
         );
       }}
@@ -0,0 +1,153 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import "regenerator-runtime"; // needed for some of react-spectrum
+import React from "react";
+import Select from "@react/react-spectrum/Select";
+import RadioGroup from "@react/react-spectrum/RadioGroup";
+import Radio from "@react/react-spectrum/Radio";
+import Textfield from "@react/react-spectrum/Textfield";
+import FieldLabel from "@react/react-spectrum/FieldLabel";
+import "@react/react-spectrum/Form"; // needed for spectrum form styles
+import { object, string } from "yup";
+import render from "../render";
+import WrappedField from "../components/wrappedField";
+import ExtensionView from "../components/extensionView";
+import getInstanceOptions from "../utils/getInstanceOptions";
+import singleDataElementRegex from "../constants/singleDataElementRegex";
+import "./setOptOutPreferences.styl";
+import InfoTipLayout from "../components/infoTipLayout";
+import TimeoutField, {
+  timeoutValidationSchema
+} from "../components/timeoutField";
+
+const purposesEnum = {
+  ALL: "all",
+  DATA_ELEMENT: "dataElement"
+};
+
+const getInitialValues = ({ initInfo }) => {
+  const {
+    instanceName = initInfo.extensionSettings.instances[0].name,
+    purposes = purposesEnum.ALL,
+    timeout = ""
+  } = initInfo.settings || {};
+
+  const initialValues = {
+    instanceName,
+    timeout: String(timeout)
+  };
+
+  if (purposes === purposesEnum.ALL) {
+    initialValues.purposes = purposes;
+    initialValues.purposesDataElement = "";
+  } else {
+    initialValues.purposes = purposesEnum.DATA_ELEMENT;
+    initialValues.purposesDataElement = purposes;
+  }
+
+  return initialValues;
+};
+
+const getSettings = ({ values }) => {
+  const { instanceName, purposes, purposesDataElement, timeout } = values;
+  const settings = {
+    instanceName,
+    purposes:
+      purposes === purposesEnum.DATA_ELEMENT ? purposesDataElement : purposes
+  };
+
+  if (timeout) {
+    settings.timeout = Number(timeout);
+  }
+
+  return settings;
+};
+
+const invalidDataMessage = "Please specify a data element";
+const validationSchema = object().shape({
+  purposesDataElement: string().when("purposes", {
+    is: purposesEnum.DATA_ELEMENT,
+    then: string()
+      .required(invalidDataMessage)
+      .matches(singleDataElementRegex, invalidDataMessage)
+  }),
+  timeout: timeoutValidationSchema
+});
+
+const SetOptOutPreferences = () => {
+  return (
+    <ExtensionView
+      getInitialValues={getInitialValues}
+      getSettings={getSettings}
+      validationSchema={validationSchema}
+      render={({ initInfo, formikProps }) => {
+        return (
+          <div>
+            <div>
+              <FieldLabel labelFor="instanceNameField" label="Instance" />
+              <div>
+                <WrappedField
+                  id="instanceNameField"
+                  name="instanceName"
+                  component={Select}
+                  componentClassName="u-fieldLong"
+                  options={getInstanceOptions(initInfo)}
+                />
+              </div>
+            </div>
+            <div className="u-gapTop">
+              <FieldLabel
+                labelFor="purposesField"
+                label="The user has opted out of:"
+              />
+              <WrappedField
+                id="purposesField"
+                name="purposes"
+                component={RadioGroup}
+                componentClassName="u-flexColumn"
+              >
+                <Radio value={purposesEnum.ALL} label="All purposes" />
+                <Radio
+                  value={purposesEnum.DATA_ELEMENT}
+                  label="Purposes provided by data element"
+                />
+              </WrappedField>
+            </div>
+            {formikProps.values.purposes === purposesEnum.DATA_ELEMENT ? (
+              <div className="FieldSubset u-gapTop">
+                <InfoTipLayout tip='The data element should return "all".'>
+                  <FieldLabel
+                    labelFor="purposesDataElementField"
+                    label="Data Element"
+                  />
+                </InfoTipLayout>
+                <div>
+                  <WrappedField
+                    id="purposesDataElementField"
+                    name="purposesDataElement"
+                    component={Textfield}
+                    componentClassName="u-fieldLong"
+                    supportDataElement="replace"
+                  />
+                </div>
+              </div>
+            ) : null}
+            <TimeoutField />
+          </div>
+        );
+      }}
+    />
+  );
+};
+
+render(SetOptOutPreferences);
@@ -3,7 +3,10 @@ import React from "react";
 import { FieldArray } from "formik";
 import Textfield from "@react/react-spectrum/Textfield";
 import Checkbox from "@react/react-spectrum/Checkbox";
+import RadioGroup from "@react/react-spectrum/RadioGroup";
+import Radio from "@react/react-spectrum/Radio";
 import Select from "@react/react-spectrum/Select";
+import ComboBox from "@react/react-spectrum/ComboBox";
 import FieldLabel from "@react/react-spectrum/FieldLabel";
 import Button from "@react/react-spectrum/Button";
 import Well from "@react/react-spectrum/Well";
@@ -16,8 +19,55 @@ import authenticatedStateOptions from "../constants/authenticatedStateOptions";
 import getDefaultCustomerId from "../utils/getDefaultCustomerId";
 import InfoTipLayout from "./infoTipLayout";
 import getInstanceOptions from "../utils/getInstanceOptions";
+import getNamespaces from "../utils/getNamespaces";
+import customerIdsTypeEnum from "../constants/customerIdsTypeEnum";
+import idNormalizationOptions from "../constants/idNormalizationOptions";
+
+// Describes how the namespace relates to the namespace catalog from the
+// extension configuration. Namespaces outside the catalog are still
+// allowed (the catalog may be incomplete), so this is only a hint.
+const getNamespaceNote = (namespaces, namespaceCode) => {
+  if (!namespaces.length || !namespaceCode) {
+    return null;
+  }
+
+  const namespace = namespaces.filter(({ code }) => code === namespaceCode)[0];
+
+  if (namespace) {
+    return namespace.name || null;
+  }
+
+  // Namespace codes are case-sensitive, so a code that only differs from a
+  // catalog namespace by case is most likely a mistake.
+  const lowerCaseNamespaceCode = namespaceCode.toLowerCase();
+  const similarNamespace = namespaces.filter(
+    ({ code }) => code.toLowerCase() === lowerCaseNamespaceCode
+  )[0];
+
+  if (similarNamespace) {
+    return `Namespaces are case-sensitive. Did you mean "${
+      similarNamespace.code
+    }"?`;
+  }
+
+  return "This namespace is not in the namespace catalog of the extension configuration.";
+};
 
 function CustomerIdWrapper({ values, initInfo }) {
+  const namespaces = getNamespaces(initInfo);
+  const namespaceOptions = namespaces.map(({ code }) => code);
+  // The options remain codes (the selected option becomes the field value),
+  // so the catalog's display names are only shown when rendering them.
+  const renderNamespaceOption = code => {
+    const namespace = namespaces.filter(
+      namespaceFromCatalog => namespaceFromCatalog.code === code
+    )[0];
+    return namespace && namespace.name ? `${code} (${namespace.name})` : code;
+  };
+  const namespaceNotes = (values.customerIds || []).map(customerId =>
+    getNamespaceNote(namespaces, customerId.namespace)
+  );
+
   return (
     <React.Fragment>
       <FieldLabel labelFor="instanceName" label="Instance" />
@@ -30,114 +80,202 @@ function CustomerIdWrapper({ values, initInfo }) {
           options={getInstanceOptions(initInfo)}
         />
       </div>
-      <FieldArray
-        name="customerIds"
-        render={arrayHelpers => {
-          return (
-            <React.Fragment>
-              <div className="u-gapTop u-alignRight">
-                <Button
-                  id="addCustomerId"
-                  label="Add Customer ID"
-                  onClick={() => {
-                    arrayHelpers.push(getDefaultCustomerId());
-                  }}
-                />
-              </div>
-              {((Array.isArray(values.customerIds) &&
-                values.customerIds.length) ||
-                null) && <Heading variant="subtitle2">Customer IDs</Heading>}
-              <div>
+      <div className="u-gapTop">
+        <FieldLabel labelFor="customerIdsTypeField" label="Customer IDs" />
+        <WrappedField
+          id="customerIdsTypeField"
+          name="customerIdsType"
+          component={RadioGroup}
+          componentClassName="u-flexColumn"
+        >
+          <Radio
+            value={customerIdsTypeEnum.LIST}
+            label="Provide individually"
+          />
+          <Radio
+            value={customerIdsTypeEnum.DATA_ELEMENT}
+            label="Provide all customer IDs using a data element"
+          />
+        </WrappedField>
+      </div>
+      {values.customerIdsType === customerIdsTypeEnum.DATA_ELEMENT ? (
+        <div className="FieldSubset u-gapTop">
+          <InfoTipLayout tip="The data element must return an object keyed by namespace, where each value is an object with an `id` and, optionally, `authenticatedState`, `primary`, `hashEnabled`, `normalization` (`email`, `phone`, or `strip`), and `phoneCountryCode` properties. Invalid customer IDs will be logged and ignored.">
+            <FieldLabel
+              labelFor="customerIdsDataElementField"
+              label="Data Element"
+            />
+          </InfoTipLayout>
+          <div>
+            <WrappedField
+              id="customerIdsDataElementField"
+              name="customerIdsDataElement"
+              component={Textfield}
+              componentClassName="u-fieldLong"
+              supportDataElement="replace"
+            />
+          </div>
+        </div>
+      ) : (
+        <FieldArray
+          name="customerIds"
+          render={arrayHelpers => {
+            return (
+              <React.Fragment>
+                <div className="u-gapTop u-alignRight">
+                  <Button
+                    id="addCustomerId"
+                    label="Add Customer ID"
+                    onClick={() => {
+                      arrayHelpers.push(getDefaultCustomerId());
+                    }}
+                  />
+                </div>
                 {((Array.isArray(values.customerIds) &&
                   values.customerIds.length) ||
-                  null) &&
-                  values.customerIds.map((customerId, index) => (
-                    <Well key={index}>
-                      <div>
-                        <FieldLabel
-                          labelFor={`namespaceField${index}`}
-                          label="Namespace"
-                        />
+                  null) && <Heading variant="subtitle2">Customer IDs</Heading>}
+                <div>
+                  {((Array.isArray(values.customerIds) &&
+                    values.customerIds.length) ||
+                    null) &&
+                    values.customerIds.map((customerId, index) => (
+                      <Well key={index}>
                         <div>
-                          <WrappedField
-                            id={`namespaceField${index}`}
-                            name={`customerIds.${index}.namespace`}
-                            // component={Select}
-                            component={Textfield}
-                            componentClassName="u-fieldLong"
-                            // options={namespaceOptions}
+                          <FieldLabel
+                            labelFor={`namespaceField${index}`}
+                            label="Namespace"
                           />
+                          <div>
+                            <WrappedField
+                              id={`namespaceField${index}`}
+                              name={`customerIds.${index}.namespace`}
+                              component={ComboBox}
+                              componentClassName="u-fieldLong"
+                              allowCreate
+                              options={namespaceOptions}
+                              renderItem={renderNamespaceOption}
+                            />
+                          </div>
+                          {namespaceNotes[index] ? (
+                            <div
+                              id={`namespaceNote${index}`}
+                              className="Note u-gapTop"
+                            >
+                              {namespaceNotes[index]}
+                            </div>
+                          ) : null}
                         </div>
-                      </div>
-                      <div className="u-gapTop">
-                        <FieldLabel labelFor={`idField${index}`} label="ID" />
-                        <div>
-                          <WrappedField
-                            id={`idField${index}`}
-                            name={`customerIds.${index}.id`}
-                            component={Textfield}
-                            componentClassName="u-fieldLong"
-                            supportDataElement="replace"
-                          />
+                        <div className="u-gapTop">
+                          <InfoTipLayout tip="If the ID is empty when the rule runs, for example because the visitor is not logged in, this customer ID will not be set.">
+                            <FieldLabel
+                              labelFor={`idField${index}`}
+                              label="ID"
+                            />
+                          </InfoTipLayout>
+                          <div>
+                            <WrappedField
+                              id={`idField${index}`}
+                              name={`customerIds.${index}.id`}
+                              component={Textfield}
+                              componentClassName="u-fieldLong"
+                              supportDataElement="replace"
+                            />
+                          </div>
                         </div>
-                      </div>
-                      <div className="u-gapTop">
-                        <InfoTipLayout tip="Uses the SHA-256 hashing algorithm that allows you to pass in customer IDs or email addresses, and pass out hashed IDs. This is an optional Javascript method for sending hashed identifiers. You can continue to use your own methods of hashing prior to sending customer IDs. Note: if this is set to true for a customer ID and the page is HTTP, the customer ID will be removed from the call because hashing cannot be completed in this case.">
-                          <WrappedField
-                            name={`customerIds.${index}.hashEnabled`}
-                            component={Checkbox}
-                            label="Convert ID to sha256 hash"
-                          />
-                        </InfoTipLayout>
-                      </div>
-                      <div className="u-gapTop">
-                        <FieldLabel
-                          labelFor={`authenticatedStateField${index}`}
-                          label="Authenticated State"
-                        />
-                        <div>
-                          <WrappedField
-                            id={`authenticatedStateField${index}`}
-                            name={`customerIds.${index}.authenticatedState`}
-                            component={Select}
-                            componentClassName="u-fieldLong"
-                            options={authenticatedStateOptions}
+                        <div className="u-gapTop">
+                          <InfoTipLayout tip="Uses the SHA-256 hashing algorithm that allows you to pass in customer IDs or email addresses, and pass out hashed IDs. This is an optional Javascript method for sending hashed identifiers. You can continue to use your own methods of hashing prior to sending customer IDs. Note: if this is set to true for a customer ID and the page is HTTP, the customer ID will be removed from the call because hashing cannot be completed in this case.">
+                            <WrappedField
+                              name={`customerIds.${index}.hashEnabled`}
+                              component={Checkbox}
+                              label="Convert ID to sha256 hash"
+                            />
+                          </InfoTipLayout>
+                        </div>
+                        {customerId.hashEnabled ? (
+                          <div className="FieldSubset u-gapTop">
+                            <InfoTipLayout tip="How the ID is normalized before it is hashed. Choose the normalization used by the system your hashed IDs must match, such as your CRM. Customer IDs that cannot be normalized will not be set.">
+                              <FieldLabel
+                                labelFor={`normalizationField${index}`}
+                                label="Normalization"
+                              />
+                            </InfoTipLayout>
+                            <div>
+                              <WrappedField
+                                id={`normalizationField${index}`}
+                                name={`customerIds.${index}.normalization`}
+                                component={Select}
+                                componentClassName="u-fieldLong"
+                                options={idNormalizationOptions}
+                              />
+                            </div>
+                            {customerId.normalization === "phone" ? (
+                              <div className="u-gapTop">
+                                <InfoTipLayout tip="The country calling code (for example, 1 for the United States) added to phone numbers that do not start with + or 00.">
+                                  <FieldLabel
+                                    labelFor={`phoneCountryCodeField${index}`}
+                                    label="Default Country Calling Code (optional)"
+                                  />
+                                </InfoTipLayout>
+                                <div>
+                                  <WrappedField
+                                    id={`phoneCountryCodeField${index}`}
+                                    name={`customerIds.${index}.phoneCountryCode`}
+                                    component={Textfield}
+                                  />
+                                </div>
+                              </div>
+                            ) : null}
+                          </div>
+                        ) : null}
+                        <div className="u-gapTop">
+                          <FieldLabel
+                            labelFor={`authenticatedStateField${index}`}
+                            label="Authenticated State"
                           />
+                          <div>
+                            <WrappedField
+                              id={`authenticatedStateField${index}`}
+                              name={`customerIds.${index}.authenticatedState`}
+                              component={Select}
+                              componentClassName="u-fieldLong"
+                              options={authenticatedStateOptions}
+                            />
+                          </div>
+                        </div>
+                        <div className="u-gapTop">
+                          <InfoTipLayout tip="Adobe Experience Platform will use the customer ID as an identifier to help stitch together more information about that individual. If left unchecked, the identifier within this namespace will still be collected but the ECID will be used as the primary identifier for stitching.">
+                            <WrappedField
+                              name={`customerIds.${index}.primary`}
+                              component={Checkbox}
+                              label="Primary"
+                            />
+                          </InfoTipLayout>
                         </div>
-                      </div>
-                      <div className="u-gapTop">
-                        <InfoTipLayout tip="Adobe Experience Platform will use the customer ID as an identifier to help stitch together more information about that individual. If left unchecked, the identifier within this namespace will still be collected but the ECID will be used as the primary identifier for stitching.">
-                          <WrappedField
-                            name={`customerIds.${index}.primary`}
-                            component={Checkbox}
-                            label="Primary"
+                        <div className="u-gapTop">
+                          <Button
+                            id={`deleteButton${index}`}
+                            label="Delete Customer ID"
+                            icon={<Delete />}
+                            disabled={values.customerIds.length === 1}
+                            onClick={() => {
+                              arrayHelpers.remove(index);
+                            }}
                           />
-                        </InfoTipLayout>
-                      </div>
-                      <div className="u-gapTop">
-                        <Button
-                          id={`deleteButton${index}`}
-                          label="Delete Customer ID"
-                          icon={<Delete />}
-                          disabled={values.customerIds.length === 1}
-                          onClick={() => {
-                            arrayHelpers.remove(index);
-                          }}
-                        />
-                        {values.customerIds.length === 1 ? (
-                          <span className="Note u-gapLeft">
-                            You must have at least one customer ID to use this
-                            action.
-                          </span>
-                        ) : null}
-                      </div>
-                    </Well>
-                  ))}
-              </div>
-            </React.Fragment>
-          );
-        }}
-      />
+                          {values.customerIds.length === 1 ? (
+                            <span className="Note u-gapLeft">
+                              You must have at least one customer ID to use this
+                              action.
+                            </span>
+                          ) : null}
+                        </div>
+                      </Well>
+                    ))}
+                </div>
+              </React.Fragment>
+            );
+          }}
+        />
+      )}
     </React.Fragment>
   );
 }
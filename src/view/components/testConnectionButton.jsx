@@ -0,0 +1,79 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import Button from "@react/react-spectrum/Button";
+import Alert from "@react/react-spectrum/Alert";
+
+/**
+ * A button that, when clicked, tests whether the Edge accepts requests
+ * for the given config ID, edge domain, and edge base path and
+ * displays the result below the button.
+ */
+const TestConnectionButton = ({
+  testConnection,
+  configId,
+  edgeDomain,
+  edgeBasePath
+}) => {
+  const [isTesting, setIsTesting] = useState(false);
+  const [result, setResult] = useState();
+
+  return (
+    <div>
+      <Button
+        id="testConnectionButton"
+        label={isTesting ? "Testing Connection..." : "Test Connection"}
+        disabled={isTesting}
+        onClick={() => {
+          setIsTesting(true);
+          setResult(undefined);
+          testConnection({ configId, edgeDomain, edgeBasePath }).then(
+            testResult => {
+              setIsTesting(false);
+              setResult(testResult);
+            }
+          );
+        }}
+      />
+      {result ? (
+        <Alert
+          id="testConnectionResult"
+          className="ConstrainedAlert u-gapTop"
+          header={result.success ? "Connection Succeeded" : "Connection Failed"}
+          variant={result.success ? "success" : "error"}
+        >
+          {result.status !== undefined ? (
+            <div>HTTP status: {result.status}</div>
+          ) : null}
+          {result.errors.length ? (
+            <ul>
+              {result.errors.map((error, index) => (
+                <li key={index}>{error}</li>
+              ))}
+            </ul>
+          ) : null}
+        </Alert>
+      ) : null}
+    </div>
+  );
+};
+
+TestConnectionButton.propTypes = {
+  testConnection: PropTypes.func.isRequired,
+  configId: PropTypes.string,
+  edgeDomain: PropTypes.string,
+  edgeBasePath: PropTypes.string
+};
+
+export default TestConnectionButton;
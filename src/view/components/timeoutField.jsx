@@ -0,0 +1,49 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import React from "react";
+import { string } from "yup";
+import Textfield from "@react/react-spectrum/Textfield";
+import FieldLabel from "@react/react-spectrum/FieldLabel";
+import WrappedField from "./wrappedField";
+import InfoTipLayout from "./infoTipLayout";
+
+export const timeoutValidationSchema = string().matches(
+  /^[1-9]\d*$/,
+  "Please specify a positive whole number of milliseconds."
+);
+
+/**
+ * A field for the number of milliseconds the rule should wait for an
+ * action to complete before continuing on to the rule's next action.
+ */
+const TimeoutField = () => (
+  <div className="u-gapTop">
+    <InfoTipLayout
+      tip="The number of milliseconds to wait for this action to complete
+        before the rule continues with its next action. If not specified,
+        the rule will wait until the action completes."
+    >
+      <FieldLabel labelFor="timeoutField" label="Timeout (optional)" />
+    </InfoTipLayout>
+    <div>
+      <WrappedField
+        id="timeoutField"
+        name="timeout"
+        component={Textfield}
+        componentClassName="u-fieldLong"
+      />
+    </div>
+  </div>
+);
+
+export default TimeoutField;
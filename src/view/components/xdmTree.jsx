@@ -0,0 +1,199 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import React from "react";
+import PropTypes from "prop-types";
+import { FieldArray } from "formik";
+import Textfield from "@react/react-spectrum/Textfield";
+import Select from "@react/react-spectrum/Select";
+import Button from "@react/react-spectrum/Button";
+import Delete from "@react/react-spectrum/Icon/Delete";
+import WrappedField from "./wrappedField";
+import xdmNodeTypes from "../constants/xdmNodeTypes";
+import xdmValueTypes from "../constants/xdmValueTypes";
+
+const nodeTypeOptions = [
+  {
+    value: xdmNodeTypes.VALUE,
+    label: "Value"
+  },
+  {
+    value: xdmNodeTypes.OBJECT,
+    label: "Object"
+  },
+  {
+    value: xdmNodeTypes.ARRAY,
+    label: "Array"
+  }
+];
+
+const valueTypeOptions = [
+  {
+    value: xdmValueTypes.STRING,
+    label: "String"
+  },
+  {
+    value: xdmValueTypes.NUMBER,
+    label: "Number"
+  },
+  {
+    value: xdmValueTypes.BOOLEAN,
+    label: "Boolean"
+  }
+];
+
+/**
+ * Creates a node with default values. Every node has all properties,
+ * regardless of its type, so that the user can switch between types
+ * without Formik complaining about undefined values.
+ * @returns {Object}
+ */
+export const createXdmNode = () => ({
+  name: "",
+  type: xdmNodeTypes.VALUE,
+  valueType: xdmValueTypes.STRING,
+  value: "",
+  children: []
+});
+
+// Element IDs can't contain the dots found in Formik field names.
+const getIdPrefix = fieldName => fieldName.replace(/\./g, "_");
+
+const XdmTreeChildren = ({ node, fieldName }) => {
+  const isArray = node.type === xdmNodeTypes.ARRAY;
+
+  return (
+    <FieldArray
+      name={`${fieldName}.children`}
+      render={arrayHelpers => (
+        <div>
+          {node.children.map((child, index) => (
+            // XdmTreeNode and XdmTreeChildren are mutually recursive.
+            <XdmTreeNode
+              // Nodes have no identity other than their position.
+              key={index}
+              node={child}
+              fieldName={`${fieldName}.children.${index}`}
+              label={isArray ? `[${index}]` : undefined}
+              onDelete={() => arrayHelpers.remove(index)}
+            />
+          ))}
+          <div className="u-gapTop">
+            <Button
+              id={`${getIdPrefix(fieldName)}_addButton`}
+              label={isArray ? "Add Item" : "Add Property"}
+              onClick={() => arrayHelpers.push(createXdmNode())}
+              quiet
+              variant="quiet"
+            />
+          </div>
+        </div>
+      )}
+    />
+  );
+};
+
+XdmTreeChildren.propTypes = {
+  // eslint-disable-next-line react/forbid-prop-types
+  node: PropTypes.object.isRequired,
+  fieldName: PropTypes.string.isRequired
+};
+
+const XdmTreeNode = ({ node, fieldName, label, onDelete }) => {
+  const idPrefix = getIdPrefix(fieldName);
+
+  return (
+    <div className="u-gapTop">
+      <div className="u-flex u-alignItemsCenter">
+        {// Array items are identified by their position rather than by name.
+        label ? (
+          <span className="Label">{label}</span>
+        ) : (
+          <WrappedField
+            id={`${idPrefix}_name`}
+            name={`${fieldName}.name`}
+            component={Textfield}
+            placeholder="Property name"
+          />
+        )}
+        <WrappedField
+          id={`${idPrefix}_type`}
+          name={`${fieldName}.type`}
+          component={Select}
+          className="u-gapLeft"
+          options={nodeTypeOptions}
+        />
+        {node.type === xdmNodeTypes.VALUE ? (
+          <WrappedField
+            id={`${idPrefix}_valueType`}
+            name={`${fieldName}.valueType`}
+            component={Select}
+            className="u-gapLeft"
+            options={valueTypeOptions}
+          />
+        ) : null}
+        {node.type === xdmNodeTypes.VALUE ? (
+          <WrappedField
+            id={`${idPrefix}_value`}
+            name={`${fieldName}.value`}
+            component={Textfield}
+            className="u-gapLeft"
+            componentClassName="u-fieldLong"
+            placeholder="Value or data element"
+            supportDataElement="append"
+          />
+        ) : null}
+        <Button
+          id={`${idPrefix}_deleteButton`}
+          className="u-gapLeft"
+          icon={<Delete />}
+          variant="tool"
+          onClick={onDelete}
+        />
+      </div>
+      {node.type === xdmNodeTypes.VALUE ? null : (
+        <div className="FieldSubset">
+          <XdmTreeChildren node={node} fieldName={fieldName} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+XdmTreeNode.propTypes = {
+  // eslint-disable-next-line react/forbid-prop-types
+  node: PropTypes.object.isRequired,
+  fieldName: PropTypes.string.isRequired,
+  label: PropTypes.string,
+  onDelete: PropTypes.func.isRequired
+};
+
+/**
+ * An editor for building an XDM object as a tree. Each node of the tree
+ * is either an object (containing named properties), an array (containing
+ * items), or a value (a literal or data element token). Values also have a
+ * type so that literals can be converted to the type of the XDM field they
+ * populate. The root node is always an object.
+ */
+const XdmTree = ({ node, fieldName }) => (
+  <div>
+    <XdmTreeChildren node={node} fieldName={fieldName} />
+  </div>
+);
+
+XdmTree.propTypes = {
+  // eslint-disable-next-line react/forbid-prop-types
+  node: PropTypes.object.isRequired,
+  fieldName: PropTypes.string.isRequired
+};
+
+export default XdmTree;
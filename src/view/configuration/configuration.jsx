@@ -23,6 +23,7 @@ import Alert from "@react/react-spectrum/Alert";
 import ModalTrigger from "@react/react-spectrum/ModalTrigger";
 import Dialog from "@react/react-spectrum/Dialog";
 import FieldLabel from "@react/react-spectrum/FieldLabel";
+import Heading from "@react/react-spectrum/Heading";
 import Delete from "@react/react-spectrum/Icon/Delete";
 import { Accordion, AccordionItem } from "@react/react-spectrum/Accordion";
 import CheckboxList from "../components/checkboxList";
@@ -32,15 +33,74 @@ import WrappedField from "../components/wrappedField";
 import ExtensionView from "../components/extensionView";
 import EditorButton from "../components/editorButton";
 import InfoTipLayout from "../components/infoTipLayout";
+import TestConnectionButton from "../components/testConnectionButton";
 import copyPropertiesIfNotDefault from "./utils/copyPropertiesIfNotDefault";
+import createConnectionTester from "./utils/createConnectionTester";
+import fetchTransport from "./utils/fetchTransport";
 import singleDataElementRegex from "../constants/singleDataElementRegex";
+import alloyVersion from "../constants/alloyVersion";
 import "./configuration.styl";
 
+const testConnection = createConnectionTester(
+  fetchTransport,
+  edgeDomain => `https://${edgeDomain}`
+);
+
 const contextGranularityEnum = {
   ALL: "all",
   SPECIFIC: "specific"
 };
 const contextOptions = ["web", "device", "environment", "placeContext"];
+const onBeforeEventSendTypeEnum = {
+  DATA_ELEMENT: "dataElement",
+  CODE: "code"
+};
+const debugEnabledEnum = {
+  DISABLE: "disable",
+  ENABLE: "enable",
+  DATA_ELEMENT: "dataElement"
+};
+
+// Launch environments (identified by turbine.environment.stage at runtime)
+// for which instance settings may be overridden.
+const environmentOptions = [
+  { value: "development", label: "Development" },
+  { value: "staging", label: "Staging" },
+  { value: "production", label: "Production" }
+];
+const environmentOverrideDefaults = {
+  configId: "",
+  orgId: "",
+  edgeDomain: ""
+};
+const environmentOverrideKeys = Object.keys(environmentOverrideDefaults);
+
+const createEnvironmentOverrides = (environmentOverrides = {}) =>
+  environmentOptions.reduce((result, { value: environment }) => {
+    result[environment] = {
+      ...environmentOverrideDefaults,
+      ...environmentOverrides[environment]
+    };
+    return result;
+  }, {});
+
+const trimEnvironmentOverrides = environmentOverrides =>
+  environmentOptions.reduce((result, { value: environment }) => {
+    const trimmedOverrides = {};
+
+    copyPropertiesIfNotDefault(
+      trimmedOverrides,
+      environmentOverrides[environment],
+      environmentOverrideDefaults,
+      environmentOverrideKeys
+    );
+
+    if (Object.keys(trimmedOverrides).length) {
+      result[environment] = trimmedOverrides;
+    }
+
+    return result;
+  }, {});
 
 const getInstanceDefaults = initInfo => ({
   name: "alloy",
@@ -49,6 +109,8 @@ const getInstanceDefaults = initInfo => ({
   edgeDomain: "edge.adobedc.net",
   edgeBasePath: "ee",
   errorsEnabled: true,
+  debugEnabled: debugEnabledEnum.DISABLE,
+  debugEnabledDataElement: "",
   optInEnabled: false,
   idSyncEnabled: true,
   idSyncContainerId: "",
@@ -58,8 +120,14 @@ const getInstanceDefaults = initInfo => ({
   contextGranularity: contextGranularityEnum.ALL,
   context: contextOptions,
   idMigrationEnabled: true,
+  thirdPartyCookiesEnabled: true,
   clickCollectionEnabled: true,
+  onBeforeEventSendType: onBeforeEventSendTypeEnum.DATA_ELEMENT,
   onBeforeEventSend: "",
+  onBeforeEventSendCode: "",
+  datasetId: "",
+  schemaId: "",
+  environmentOverrides: createEnvironmentOverrides(),
   downloadLinkQualifier:
     "\\.(exe|zip|wav|mp3|mov|mpg|avi|wmv|pdf|doc|docx|xls|xlsx|ppt|pptx)$"
 });
@@ -70,6 +138,7 @@ const createDefaultInstance = initInfo =>
 const getInitialValues = ({ initInfo }) => {
   const instanceDefaults = getInstanceDefaults(initInfo);
   let { instances } = initInfo.settings || {};
+  const { namespaces = [] } = initInfo.settings || {};
 
   if (instances) {
     instances.forEach(instance => {
@@ -77,6 +146,27 @@ const getInitialValues = ({ initInfo }) => {
         instance.contextGranularity = contextGranularityEnum.SPECIFIC;
       }
 
+      if (instance.onBeforeEventSendCode) {
+        instance.onBeforeEventSendType = onBeforeEventSendTypeEnum.CODE;
+      }
+
+      // debugEnabled may be saved as a boolean or a data element token.
+      if (typeof instance.debugEnabled === "boolean") {
+        instance.debugEnabled = instance.debugEnabled
+          ? debugEnabledEnum.ENABLE
+          : debugEnabledEnum.DISABLE;
+      } else if (instance.debugEnabled !== undefined) {
+        instance.debugEnabledDataElement = instance.debugEnabled;
+        instance.debugEnabled = debugEnabledEnum.DATA_ELEMENT;
+      }
+
+      // Environment overrides are nested, so the defaults for any
+      // environments or properties not already defined must be
+      // copied separately.
+      instance.environmentOverrides = createEnvironmentOverrides(
+        instance.environmentOverrides
+      );
+
       // Copy default values to the instance if the properties
       // aren't already defined on the instance. This is primarily
       // because Formik requires all fields to have initial values.
@@ -91,13 +181,14 @@ const getInitialValues = ({ initInfo }) => {
   }
 
   return {
-    instances
+    instances,
+    namespaces: namespaces.map(({ code, name = "" }) => ({ code, name }))
   };
 };
 
 const getSettings = ({ values, initInfo }) => {
   const instanceDefaults = getInstanceDefaults(initInfo);
-  return {
+  const settings = {
     instances: values.instances.map(instance => {
       const trimmedInstance = {
         name: instance.name
@@ -115,10 +206,18 @@ const getSettings = ({ values, initInfo }) => {
         "cookieDestinationsEnabled",
         "prehidingStyle",
         "idMigrationEnabled",
-        "onBeforeEventSend",
+        "thirdPartyCookiesEnabled",
+        "datasetId",
+        "schemaId",
         "clickCollectionEnabled"
       ];
 
+      if (instance.onBeforeEventSendType === onBeforeEventSendTypeEnum.CODE) {
+        copyPropertyKeys.push("onBeforeEventSendCode");
+      } else {
+        copyPropertyKeys.push("onBeforeEventSend");
+      }
+
       if (instance.clickCollectionEnabled) {
         copyPropertyKeys.push("downloadLinkQualifier");
       }
@@ -145,13 +244,35 @@ const getSettings = ({ values, initInfo }) => {
         }
       }
 
+      if (instance.debugEnabled === debugEnabledEnum.ENABLE) {
+        trimmedInstance.debugEnabled = true;
+      } else if (instance.debugEnabled === debugEnabledEnum.DATA_ELEMENT) {
+        trimmedInstance.debugEnabled = instance.debugEnabledDataElement;
+      }
+
       if (instance.contextGranularity === contextGranularityEnum.SPECIFIC) {
         trimmedInstance.context = instance.context;
       }
 
+      const environmentOverrides = trimEnvironmentOverrides(
+        instance.environmentOverrides
+      );
+
+      if (Object.keys(environmentOverrides).length) {
+        trimmedInstance.environmentOverrides = environmentOverrides;
+      }
+
       return trimmedInstance;
     })
   };
+
+  if (values.namespaces.length) {
+    settings.namespaces = values.namespaces.map(({ code, name }) =>
+      name ? { code, name } : { code }
+    );
+  }
+
+  return settings;
 };
 
 const validateDuplicateValue = (createError, instances, key, message) => {
@@ -174,6 +295,9 @@ const idSyncContainerIdValidationMessage =
 
 const onBeforeEventSendValidationMessage = "Please specify a data element.";
 
+const debugEnabledDataElementValidationMessage =
+  "Please specify a data element.";
+
 const validationSchema = object()
   .shape({
     instances: array().of(
@@ -239,11 +363,36 @@ const validationSchema = object()
               }
             })
         }),
-        onBeforeEventSend: string().matches(singleDataElementRegex, {
-          message: onBeforeEventSendValidationMessage,
-          excludeEmptyString: true
+        debugEnabledDataElement: string().when("debugEnabled", {
+          is: debugEnabledEnum.DATA_ELEMENT,
+          then: string()
+            .required(debugEnabledDataElementValidationMessage)
+            .matches(
+              singleDataElementRegex,
+              debugEnabledDataElementValidationMessage
+            )
+        }),
+        onBeforeEventSend: string().when("onBeforeEventSendType", {
+          is: onBeforeEventSendTypeEnum.DATA_ELEMENT,
+          then: string().matches(singleDataElementRegex, {
+            message: onBeforeEventSendValidationMessage,
+            excludeEmptyString: true
+          })
         })
       })
+    ),
+    namespaces: array().of(
+      object().shape({
+        code: string()
+          .required("Please specify a namespace code.")
+          .test({
+            name: "notECID",
+            message: "ECID is not allowed",
+            test(value) {
+              return value !== "ECID";
+            }
+          })
+      })
     )
   })
   // TestCafe doesn't allow this to be an arrow function because of
@@ -278,10 +427,105 @@ const validationSchema = object()
       "orgId",
       "Please provide an IMS Organization ID unique from those used for other instances."
     );
+  })
+  // TestCafe doesn't allow this to be an arrow function because of
+  // how it scopes "this".
+  // eslint-disable-next-line func-names
+  .test("uniqueNamespaceCode", function(settings) {
+    // Namespace codes are case-sensitive, but codes that only differ by case
+    // are almost certainly a mistake.
+    const codes = settings.namespaces.map(({ code }) =>
+      (code || "").toLowerCase()
+    );
+    const duplicateIndex = codes.findIndex(
+      (code, index) => codes.indexOf(code) < index
+    );
+
+    return (
+      duplicateIndex === -1 ||
+      this.createError({
+        path: `namespaces[${duplicateIndex}].code`,
+        message: "Please provide a unique namespace code."
+      })
+    );
+  });
+
+/**
+ * Serializes the instances as they would be saved to the extension settings
+ * so they can be copied into another Launch property.
+ */
+const exportSettings = ({ values, initInfo }) =>
+  JSON.stringify(getSettings({ values, initInfo }), null, 2);
+
+/**
+ * Converts JSON previously produced by exportSettings into form values.
+ * The returned promise is resolved with an object containing either the
+ * form values or, if the JSON can't be parsed or the settings don't pass
+ * validation, a list of error messages.
+ */
+const importSettings = ({ json, initInfo, currentValues }) => {
+  let settings;
+
+  try {
+    settings = JSON.parse(json);
+  } catch (e) {
+    return Promise.resolve({
+      errors: [`The JSON could not be parsed. ${e.message}`]
+    });
+  }
+
+  if (
+    !settings ||
+    !Array.isArray(settings.instances) ||
+    !settings.instances.length
+  ) {
+    return Promise.resolve({
+      errors: ["The JSON must be an object with an array of instances."]
+    });
+  }
+
+  if (
+    settings.instances.some(
+      instance =>
+        !instance || typeof instance !== "object" || Array.isArray(instance)
+    )
+  ) {
+    return Promise.resolve({
+      errors: ["Each instance must be an object."]
+    });
+  }
+
+  const values = getInitialValues({
+    initInfo: {
+      ...initInfo,
+      settings
+    }
   });
 
+  // Exported settings leave out the namespace catalog when it's empty, so
+  // importing them shouldn't clear the catalog already in the form.
+  if (settings.namespaces === undefined) {
+    values.namespaces = currentValues.namespaces;
+  }
+
+  return validationSchema.validate(values, { abortEarly: false }).then(
+    () => ({ values }),
+    validationError => {
+      const validationErrors = validationError.inner.length
+        ? validationError.inner
+        : [validationError];
+      return {
+        errors: validationErrors.map(({ path, message }) =>
+          path ? `${path}: ${message}` : message
+        )
+      };
+    }
+  );
+};
+
 const Configuration = () => {
   const [selectedAccordionIndex, setSelectedAccordionIndex] = useState();
+  const [importErrors, setImportErrors] = useState([]);
   const [isFirstExtensionViewRender, setIsFirstExtensionViewRender] = useState(
     true
   );
@@ -298,6 +542,7 @@ const Configuration = () => {
           isSubmitting,
           isValidating,
           setFieldValue,
+          setValues,
           initialValues
         } = formikProps;
 
@@ -328,6 +573,56 @@ const Configuration = () => {
                 return (
                   <div>
                     <div className="u-alignRight">
+                      <Button
+                        id="exportButton"
+                        label="Export"
+                        quiet
+                        variant="quiet"
+                        onClick={() => {
+                          window.extensionBridge.openCodeEditor({
+                            code: exportSettings({ values, initInfo }),
+                            language: "json"
+                          });
+                        }}
+                      />
+                      <Button
+                        id="importButton"
+                        label="Import"
+                        quiet
+                        variant="quiet"
+                        onClick={() => {
+                          window.extensionBridge
+                            .openCodeEditor({
+                              code: "",
+                              language: "json"
+                            })
+                            .then(
+                              json =>
+                                importSettings({
+                                  json,
+                                  initInfo,
+                                  currentValues: values
+                                }).then(result => {
+                                  if (result.errors) {
+                                    setImportErrors(result.errors);
+                                    return;
+                                  }
+
+                                  setImportErrors([]);
+                                  setValues(result.values);
+                                  setSelectedAccordionIndex(
+                                    result.values.instances.length === 1
+                                      ? 0
+                                      : undefined
+                                  );
+                                }),
+                              () => {
+                                // The user closed the code editor without
+                                // importing, so there's nothing to do.
+                              }
+                            );
+                        }}
+                      />
                       <Button
                         label="Add Instance"
                         onClick={() => {
@@ -336,6 +631,22 @@ const Configuration = () => {
                         }}
                       />
                     </div>
+                    {importErrors.length ? (
+                      <Alert
+                        id="importErrorsAlert"
+                        className="u-gapTop"
+                        header="Import Failed"
+                        variant="error"
+                      >
+                        The imported settings were not applied because of the
+                        following errors:
+                        <ul>
+                          {importErrors.map((importError, index) => (
+                            <li key={index}>{importError}</li>
+                          ))}
+                        </ul>
+                      </Alert>
+                    ) : null}
                     <Accordion
                       selectedIndex={selectedAccordionIndex}
                       className="u-gapTop2x"
@@ -464,6 +775,14 @@ const Configuration = () => {
                               />
                             </div>
                           </div>
+                          <div className="u-gapTop">
+                            <TestConnectionButton
+                              testConnection={testConnection}
+                              configId={instance.configId}
+                              edgeDomain={instance.edgeDomain}
+                              edgeBasePath={instance.edgeBasePath}
+                            />
+                          </div>
                           <div className="u-gapTop">
                             <InfoTipLayout tip="Allows uncaught errors to be displayed in the console.">
                               <WrappedField
@@ -473,6 +792,106 @@ const Configuration = () => {
                               />
                             </InfoTipLayout>
                           </div>
+                          <div className="u-gapTop">
+                            <InfoTipLayout tip="When enabled, the server validates events synchronously and returns any schema validation errors in the response. This is useful while building your XDM, but should typically be enabled only in development libraries.">
+                              <FieldLabel
+                                labelFor="debugEnabledField"
+                                label="Debugging and synchronous validation"
+                              />
+                            </InfoTipLayout>
+                            <WrappedField
+                              id="debugEnabledField"
+                              name={`instances.${index}.debugEnabled`}
+                              component={RadioGroup}
+                              componentClassName="u-flexColumn"
+                            >
+                              <Radio
+                                value={debugEnabledEnum.DISABLE}
+                                label="Disable"
+                              />
+                              <Radio
+                                value={debugEnabledEnum.ENABLE}
+                                label="Enable"
+                              />
+                              <Radio
+                                value={debugEnabledEnum.DATA_ELEMENT}
+                                label="Provided by data element"
+                              />
+                            </WrappedField>
+                          </div>
+                          {values.instances[index].debugEnabled ===
+                          debugEnabledEnum.DATA_ELEMENT ? (
+                            <div className="FieldSubset u-gapTop">
+                              <InfoTipLayout tip='The data element should return true or "true" to enable debugging. Any other value will disable debugging.'>
+                                <FieldLabel
+                                  labelFor="debugEnabledDataElementField"
+                                  label="Data Element"
+                                />
+                              </InfoTipLayout>
+                              <div>
+                                <WrappedField
+                                  id="debugEnabledDataElementField"
+                                  name={`instances.${index}.debugEnabledDataElement`}
+                                  component={Textfield}
+                                  componentClassName="u-fieldLong"
+                                  supportDataElement="replace"
+                                />
+                              </div>
+                            </div>
+                          ) : null}
+
+                          <InfoTipLayout tip="Values provided for an environment will be used instead of the values above when the library is running in that Launch environment. Leave a field empty to use the value above.">
+                            <h3>Environment Overrides</h3>
+                          </InfoTipLayout>
+
+                          {environmentOptions.map(
+                            ({ value: environment, label }) => (
+                              <div key={environment} className="u-gapTop">
+                                <Heading variant="subtitle3">{label}</Heading>
+                                <div className="FieldSubset">
+                                  <FieldLabel
+                                    labelFor={`${environment}ConfigIdField`}
+                                    label="Config ID (optional)"
+                                  />
+                                  <div>
+                                    <WrappedField
+                                      id={`${environment}ConfigIdField`}
+                                      name={`instances.${index}.environmentOverrides.${environment}.configId`}
+                                      component={Textfield}
+                                      componentClassName="u-fieldLong"
+                                      supportDataElement="replace"
+                                    />
+                                  </div>
+                                  <FieldLabel
+                                    labelFor={`${environment}OrgIdField`}
+                                    label="IMS Organization ID (optional)"
+                                  />
+                                  <div>
+                                    <WrappedField
+                                      id={`${environment}OrgIdField`}
+                                      name={`instances.${index}.environmentOverrides.${environment}.orgId`}
+                                      component={Textfield}
+                                      componentClassName="u-fieldLong"
+                                      supportDataElement="replace"
+                                    />
+                                  </div>
+                                  <FieldLabel
+                                    labelFor={`${environment}EdgeDomainField`}
+                                    label="Edge Domain (optional)"
+                                  />
+                                  <div>
+                                    <WrappedField
+                                      id={`${environment}EdgeDomainField`}
+                                      name={`instances.${index}.environmentOverrides.${environment}.edgeDomain`}
+                                      component={Textfield}
+                                      componentClassName="u-fieldLong"
+                                      supportDataElement="replace"
+                                    />
+                                  </div>
+                                </div>
+                              </div>
+                            )
+                          )}
 
                           <h3>Privacy</h3>
 
@@ -526,6 +945,15 @@ const Configuration = () => {
                               />
                             </InfoTipLayout>
                           </div>
+                          <div className="u-gapTop">
+                            <InfoTipLayout tip="Allows the SDK to identify visitors using a third-party cookie on an Adobe domain when the browser supports it. When disabled, visitors are identified using first-party cookies only.">
+                              <WrappedField
+                                name={`instances.${index}.thirdPartyCookiesEnabled`}
+                                component={Checkbox}
+                                label="Use third-party cookies"
+                              />
+                            </InfoTipLayout>
+                          </div>
 
                           <h3>Audiences</h3>
 
@@ -572,14 +1000,85 @@ const Configuration = () => {
                           <div className="u-gapTop">
                             <InfoTipLayout tip="If you want to add, remove, or modify fields from the event globally, you can configure an `onBeforeEventSend` callback. This callback will be called everytime an event is sent. This callback passes an object with a `xdm` field. Modify the `xdm` object to change the data that is sent in the event.">
                               <FieldLabel
-                                labelFor="onBeforeEventSendField"
+                                labelFor="onBeforeEventSendTypeField"
                                 label="Callback function for modifying data before each event is sent to the server"
                               />
                             </InfoTipLayout>
+                            <WrappedField
+                              id="onBeforeEventSendTypeField"
+                              name={`instances.${index}.onBeforeEventSendType`}
+                              component={RadioGroup}
+                              componentClassName="u-flexColumn"
+                            >
+                              <Radio
+                                value={onBeforeEventSendTypeEnum.DATA_ELEMENT}
+                                label="Provided by data element"
+                              />
+                              <Radio
+                                value={onBeforeEventSendTypeEnum.CODE}
+                                label="Provided as custom code"
+                              />
+                            </WrappedField>
+                          </div>
+                          {values.instances[index].onBeforeEventSendType ===
+                          onBeforeEventSendTypeEnum.CODE ? (
+                            <div className="FieldSubset u-gapTop">
+                              <InfoTipLayout tip="The code will be run as the body of the callback. The event content is available as the `content` variable, with `content.xdm` and `content.data` fields.">
+                                <FieldLabel
+                                  labelFor="onBeforeEventSendCodeField"
+                                  label="Custom Code (optional)"
+                                />
+                              </InfoTipLayout>
+                              <div>
+                                <WrappedField
+                                  id="onBeforeEventSendCodeField"
+                                  name={`instances.${index}.onBeforeEventSendCode`}
+                                  component={EditorButton}
+                                  language="javascript"
+                                />
+                              </div>
+                            </div>
+                          ) : (
+                            <div className="FieldSubset u-gapTop">
+                              <div>
+                                <WrappedField
+                                  id="onBeforeEventSendField"
+                                  name={`instances.${index}.onBeforeEventSend`}
+                                  component={Textfield}
+                                  componentClassName="u-fieldLong"
+                                  supportDataElement="replace"
+                                />
+                              </div>
+                            </div>
+                          )}
+                          <div className="u-gapTop">
+                            <InfoTipLayout tip="The ID of the dataset events should be sent to. When not provided, events are sent to the dataset configured for the config ID.">
+                              <FieldLabel
+                                labelFor="datasetIdField"
+                                label="Dataset ID (optional)"
+                              />
+                            </InfoTipLayout>
                             <div>
                               <WrappedField
-                                id="onBeforeEventSendField"
-                                name={`instances.${index}.onBeforeEventSend`}
+                                id="datasetIdField"
+                                name={`instances.${index}.datasetId`}
+                                component={Textfield}
+                                componentClassName="u-fieldLong"
+                                supportDataElement="replace"
+                              />
+                            </div>
+                          </div>
+                          <div className="u-gapTop">
+                            <InfoTipLayout tip="The ID of the XDM schema events should be validated against. When not provided, the schema of the dataset is used.">
+                              <FieldLabel
+                                labelFor="schemaIdField"
+                                label="Schema ID (optional)"
+                              />
+                            </InfoTipLayout>
+                            <div>
+                              <WrappedField
+                                id="schemaIdField"
+                                name={`instances.${index}.schemaId`}
                                 component={Textfield}
                                 componentClassName="u-fieldLong"
                                 supportDataElement="replace"
@@ -767,6 +1266,78 @@ const Configuration = () => {
                 );
               }}
             />
+            <FieldArray
+              name="namespaces"
+              render={arrayHelpers => (
+                <div className="u-gapTop2x">
+                  <InfoTipLayout tip="The identity namespaces your organization uses. These will be suggested when setting customer IDs, and customer IDs using other namespaces will be flagged.">
+                    <Heading variant="subtitle2">Identity Namespaces</Heading>
+                  </InfoTipLayout>
+                  {values.namespaces.map((namespace, index) => (
+                    <div
+                      key={index}
+                      className="u-gapTop u-flex u-alignItemsCenter"
+                    >
+                      <div>
+                        <FieldLabel
+                          labelFor={`namespaceCodeField${index}`}
+                          label="Code"
+                        />
+                        <div>
+                          <WrappedField
+                            id={`namespaceCodeField${index}`}
+                            name={`namespaces.${index}.code`}
+                            component={Textfield}
+                          />
+                        </div>
+                      </div>
+                      <div className="u-gapLeft">
+                        <FieldLabel
+                          labelFor={`namespaceNameField${index}`}
+                          label="Display Name (optional)"
+                        />
+                        <div>
+                          <WrappedField
+                            id={`namespaceNameField${index}`}
+                            name={`namespaces.${index}.name`}
+                            component={Textfield}
+                            componentClassName="u-fieldLong"
+                          />
+                        </div>
+                      </div>
+                      <Button
+                        id={`deleteNamespaceButton${index}`}
+                        className="u-gapLeft u-gapTop"
+                        label="Delete"
+                        icon={<Delete />}
+                        variant="action"
+                        onClick={() => {
+                          arrayHelpers.remove(index);
+                        }}
+                      />
+                    </div>
+                  ))}
+                  <div className="u-gapTop">
+                    <Button
+                      id="addNamespaceButton"
+                      label="Add Namespace"
+                      onClick={() => {
+                        arrayHelpers.push({ code: "", name: "" });
+                      }}
+                    />
+                  </div>
+                </div>
+              )}
+            />
+            <div className="u-gapTop2x">
+              <Heading variant="subtitle2">Diagnostics</Heading>
+              <div>
+                <span className="Label">AEP Web SDK version:</span>
+                <span id="alloyVersion" className="u-gapLeft">
+                  {alloyVersion}
+                </span>
+              </div>
+            </div>
           </div>
         );
       }}
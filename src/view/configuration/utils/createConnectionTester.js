@@ -0,0 +1,104 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const containsDataElementRegex = /%[^%]+%/;
+
+// Edge errors have had different shapes over time, so we use whichever
+// description is available.
+const getErrorMessage = error =>
+  error.message || error.detail || error.title || error.code;
+
+/**
+ * Creates a function that tests whether the Edge accepts requests for an
+ * instance's config ID, edge domain, and edge base path.
+ * @param {Function} transport Sends the request. It is called with a URL
+ * and a request body and must return a promise resolved with an object
+ * containing the status and body of the response.
+ * @param {Function} getEdgeBaseUrl Called with the edge domain and
+ * returns the base URL (protocol and host) requests are sent to.
+ * @returns {Function} A function that accepts the instance values and
+ * returns a promise resolved with an object containing whether the test
+ * succeeded, the HTTP status (if a response was received), and any error
+ * messages.
+ */
+export default (transport, getEdgeBaseUrl) => ({
+  configId,
+  edgeDomain,
+  edgeBasePath
+}) => {
+  if ([configId, edgeDomain, edgeBasePath].some(value => !value)) {
+    return Promise.resolve({
+      success: false,
+      errors: [
+        "Please specify a config ID, edge domain, and edge base path to test the connection."
+      ]
+    });
+  }
+
+  if (
+    [configId, edgeDomain, edgeBasePath].some(value =>
+      containsDataElementRegex.test(value)
+    )
+  ) {
+    return Promise.resolve({
+      success: false,
+      errors: [
+        "The connection cannot be tested while values are provided by data elements."
+      ]
+    });
+  }
+
+  const url = `${getEdgeBaseUrl(
+    edgeDomain
+  )}/${edgeBasePath}/v1/interact?configId=${encodeURIComponent(configId)}`;
+  // A minimal request that only asks for the visitor's identity so that
+  // no event data is collected.
+  const body = JSON.stringify({
+    events: [
+      {
+        query: {
+          identity: {
+            fetch: ["ECID"]
+          }
+        }
+      }
+    ]
+  });
+
+  return transport(url, body).then(
+    response => {
+      let parsedBody;
+
+      try {
+        parsedBody = JSON.parse(response.body);
+      } catch (e) {
+        // Non-JSON. The status will tell the user what they need to know.
+      }
+
+      const errors =
+        parsedBody && Array.isArray(parsedBody.errors)
+          ? parsedBody.errors.map(getErrorMessage)
+          : [];
+
+      return {
+        success:
+          response.status >= 200 && response.status < 300 && !errors.length,
+        status: response.status,
+        errors
+      };
+    },
+    error => ({
+      success: false,
+      errors: [`The request could not be sent. ${error.message}`]
+    })
+  );
+};
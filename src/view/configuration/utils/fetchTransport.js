@@ -0,0 +1,31 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/**
+ * Sends a POST request using the browser's fetch API. This has the same
+ * signature as the network strategies used by Alloy.
+ * @param {string} url
+ * @param {string} body
+ * @returns {Promise<{status: number, body: string}>}
+ */
+export default (url, body) =>
+  window
+    .fetch(url, {
+      method: "POST",
+      body
+    })
+    .then(response =>
+      response.text().then(text => ({
+        status: response.status,
+        body: text
+      }))
+    );
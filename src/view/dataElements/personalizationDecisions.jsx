@@ -0,0 +1,91 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import "regenerator-runtime"; // needed for some of react-spectrum
+import React from "react";
+import Select from "@react/react-spectrum/Select";
+import Textfield from "@react/react-spectrum/Textfield";
+import FieldLabel from "@react/react-spectrum/FieldLabel";
+import "@react/react-spectrum/Form"; // needed for spectrum form styles
+import render from "../render";
+import WrappedField from "../components/wrappedField";
+import ExtensionView from "../components/extensionView";
+import InfoTipLayout from "../components/infoTipLayout";
+import getInstanceOptions from "../utils/getInstanceOptions";
+import "./personalizationDecisions.styl";
+
+const getInitialValues = ({ initInfo }) => {
+  const {
+    instanceName = initInfo.extensionSettings.instances[0].name,
+    scope = ""
+  } = initInfo.settings || {};
+
+  return {
+    instanceName,
+    scope
+  };
+};
+
+const getSettings = ({ values }) => {
+  const settings = {
+    instanceName: values.instanceName
+  };
+
+  if (values.scope) {
+    settings.scope = values.scope;
+  }
+
+  return settings;
+};
+
+const PersonalizationDecisions = () => {
+  return (
+    <ExtensionView
+      getInitialValues={getInitialValues}
+      getSettings={getSettings}
+      render={({ initInfo }) => {
+        return (
+          <div>
+            <div>
+              <FieldLabel labelFor="instanceNameField" label="Instance" />
+              <div>
+                <WrappedField
+                  id="instanceNameField"
+                  name="instanceName"
+                  component={Select}
+                  componentClassName="u-fieldLong"
+                  options={getInstanceOptions(initInfo)}
+                />
+              </div>
+            </div>
+            <div className="u-gapTop">
+              <InfoTipLayout tip="When specified, only decisions for this scope will be returned. Otherwise, all decisions from the latest view start will be returned.">
+                <FieldLabel labelFor="scopeField" label="Scope (optional)" />
+              </InfoTipLayout>
+              <div>
+                <WrappedField
+                  id="scopeField"
+                  name="scope"
+                  component={Textfield}
+                  componentClassName="u-fieldLong"
+                  supportDataElement="replace"
+                />
+              </div>
+            </div>
+          </div>
+        );
+      }}
+    />
+  );
+};
+
+render(PersonalizationDecisions);
@@ -0,0 +1,182 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import "regenerator-runtime"; // needed for some of react-spectrum
+import React from "react";
+import { setIn } from "formik";
+import Heading from "@react/react-spectrum/Heading";
+import "@react/react-spectrum/Form"; // needed for spectrum form styles
+import render from "../render";
+import ExtensionView from "../components/extensionView";
+import XdmTree, { createXdmNode } from "../components/xdmTree";
+import xdmNodeTypes from "../constants/xdmNodeTypes";
+import xdmValueTypes from "../constants/xdmValueTypes";
+import singleDataElementRegex from "../constants/singleDataElementRegex";
+import "./xdmObject.styl";
+
+// The settings store the XDM object as it will be assembled at runtime,
+// while the form works with a tree of nodes. These two functions convert
+// between the two representations.
+const toNode = (name, value) => {
+  const node = { ...createXdmNode(), name };
+
+  if (Array.isArray(value)) {
+    node.type = xdmNodeTypes.ARRAY;
+    node.children = value.map(item => toNode("", item));
+  } else if (typeof value === "object" && value !== null) {
+    node.type = xdmNodeTypes.OBJECT;
+    node.children = Object.keys(value).map(key => toNode(key, value[key]));
+  } else {
+    if (typeof value === "number") {
+      node.valueType = xdmValueTypes.NUMBER;
+    } else if (typeof value === "boolean") {
+      node.valueType = xdmValueTypes.BOOLEAN;
+    }
+    node.value = value === undefined ? "" : String(value);
+  }
+
+  return node;
+};
+
+// Literals are entered as text but are saved using the type of the XDM
+// field they populate. Empty values are left as-is so that they're dropped
+// at runtime, and values provided by a data element keep whatever type
+// the data element returns.
+const isConvertible = value =>
+  value !== "" && !singleDataElementRegex.test(value);
+
+const convertValue = ({ valueType, value }) => {
+  if (!isConvertible(value)) {
+    return value;
+  }
+
+  switch (valueType) {
+    case xdmValueTypes.NUMBER:
+      return Number(value);
+    case xdmValueTypes.BOOLEAN:
+      return value === "true";
+    default:
+      return value;
+  }
+};
+
+const fromNode = node => {
+  switch (node.type) {
+    case xdmNodeTypes.ARRAY:
+      return node.children.map(fromNode);
+    case xdmNodeTypes.OBJECT:
+      return node.children.reduce(
+        (obj, child) => ({ ...obj, [child.name]: fromNode(child) }),
+        {}
+      );
+    default:
+      return convertValue(node);
+  }
+};
+
+const getInitialValues = ({ initInfo }) => {
+  const { xdm = {} } = initInfo.settings || {};
+
+  return {
+    xdm: toNode("", xdm)
+  };
+};
+
+const getSettings = ({ values }) => {
+  return {
+    xdm: fromNode(values.xdm)
+  };
+};
+
+const validateNode = (node, fieldName, errors) => {
+  const names = [];
+
+  return node.children.reduce((memo, child, index) => {
+    const childFieldName = `${fieldName}.children.${index}`;
+    let result = memo;
+
+    if (node.type === xdmNodeTypes.OBJECT) {
+      if (!child.name) {
+        result = setIn(
+          result,
+          `${childFieldName}.name`,
+          "Please specify a property name."
+        );
+      } else if (names.indexOf(child.name) !== -1) {
+        result = setIn(
+          result,
+          `${childFieldName}.name`,
+          "Please specify a property name unique among its siblings."
+        );
+      }
+
+      names.push(child.name);
+    }
+
+    if (child.type !== xdmNodeTypes.VALUE) {
+      result = validateNode(child, childFieldName, result);
+    } else if (isConvertible(child.value)) {
+      if (
+        child.valueType === xdmValueTypes.NUMBER &&
+        (!child.value.trim() || Number.isNaN(Number(child.value)))
+      ) {
+        result = setIn(
+          result,
+          `${childFieldName}.value`,
+          "Please specify a number or a single data element."
+        );
+      } else if (
+        child.valueType === xdmValueTypes.BOOLEAN &&
+        child.value !== "true" &&
+        child.value !== "false"
+      ) {
+        result = setIn(
+          result,
+          `${childFieldName}.value`,
+          'Please specify "true", "false", or a single data element.'
+        );
+      }
+    }
+
+    return result;
+  }, errors);
+};
+
+const validate = values => validateNode(values.xdm, "xdm", {});
+
+const XdmObject = () => {
+  return (
+    <ExtensionView
+      getInitialValues={getInitialValues}
+      getSettings={getSettings}
+      validate={validate}
+      render={({ formikProps }) => {
+        const { values } = formikProps;
+
+        return (
+          <div>
+            <Heading variant="subtitle2">XDM Object</Heading>
+            <p>
+              Build the XDM object property by property. Each value may be a
+              literal or a data element. Literals are converted to the selected
+              type. Properties whose values are empty will be left out of the
+              resulting object.
+            </p>
+            <XdmTree node={values.xdm} fieldName="xdm" />
+          </div>
+        );
+      }}
+    />
+  );
+};
+
+render(XdmObject);
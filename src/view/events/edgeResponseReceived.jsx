@@ -0,0 +1,105 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import "regenerator-runtime"; // needed for some of react-spectrum
+import React from "react";
+import ComboBox from "@react/react-spectrum/ComboBox";
+import Select from "@react/react-spectrum/Select";
+import FieldLabel from "@react/react-spectrum/FieldLabel";
+import "@react/react-spectrum/Form"; // needed for spectrum form styles
+import render from "../render";
+import WrappedField from "../components/wrappedField";
+import ExtensionView from "../components/extensionView";
+import InfoTipLayout from "../components/infoTipLayout";
+import getInstanceOptions from "../utils/getInstanceOptions";
+import "./edgeResponseReceived.styl";
+
+const getInitialValues = ({ initInfo }) => {
+  const {
+    instanceName = initInfo.extensionSettings.instances[0].name,
+    payloadType = ""
+  } = initInfo.settings || {};
+
+  return {
+    instanceName,
+    payloadType
+  };
+};
+
+const getSettings = ({ values }) => {
+  const settings = {
+    instanceName: values.instanceName
+  };
+
+  if (values.payloadType) {
+    settings.payloadType = values.payloadType;
+  }
+
+  return settings;
+};
+
+const knownPayloadTypes = [
+  "personalization:decisions",
+  "identity:result",
+  "activation:push"
+];
+
+const EdgeResponseReceived = () => {
+  return (
+    <ExtensionView
+      getInitialValues={getInitialValues}
+      getSettings={getSettings}
+      render={({ initInfo }) => {
+        return (
+          <div>
+            <div>
+              <FieldLabel labelFor="instanceNameField" label="Instance" />
+              <div>
+                <WrappedField
+                  id="instanceNameField"
+                  name="instanceName"
+                  component={Select}
+                  componentClassName="u-fieldLong"
+                  options={getInstanceOptions(initInfo)}
+                />
+              </div>
+            </div>
+            <div className="u-gapTop">
+              <InfoTipLayout
+                tip="When specified, the rule will only be triggered if the
+                  response contains payloads of this type. The response
+                  payloads are available to the rule through event.detail.payloads."
+              >
+                <FieldLabel
+                  labelFor="payloadTypeField"
+                  label="Payload Type (optional)"
+                />
+              </InfoTipLayout>
+              <div>
+                <WrappedField
+                  id="payloadTypeField"
+                  name="payloadType"
+                  component={ComboBox}
+                  componentClassName="u-fieldLong"
+                  allowCreate
+                  options={knownPayloadTypes}
+                />
+              </div>
+            </div>
+          </div>
+        );
+      }}
+    />
+  );
+};
+
+render(EdgeResponseReceived);
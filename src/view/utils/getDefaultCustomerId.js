@@ -16,6 +16,8 @@ export default () => {
     id: "",
     authenticatedState: "",
     primary: false,
-    hashEnabled: false
+    hashEnabled: false,
+    normalization: "none",
+    phoneCountryCode: ""
   };
 };
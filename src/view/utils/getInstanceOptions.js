@@ -34,7 +34,9 @@ export default initInfo => {
     label: instance.name
   }));
 
-  if (initInfo.settings) {
+  // Some views allow the instance name to be omitted (for example,
+  // to apply an action to all instances).
+  if (initInfo.settings && initInfo.settings.instanceName) {
     const previouslySavedInstanceName = initInfo.settings.instanceName;
     if (
       !instanceOptions.some(
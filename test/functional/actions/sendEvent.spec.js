@@ -20,9 +20,16 @@ const extensionViewController = createExtensionViewController(
 );
 const instanceNameField = spectrum.select(Selector("[name=instanceName]"));
 const viewStartField = spectrum.checkbox(Selector("[name=viewStart]"));
+const documentUnloadingField = spectrum.checkbox(
+  Selector("[name=documentUnloading]")
+);
 const xdmField = spectrum.textfield(Selector("[name=xdm]"));
+const dataField = spectrum.textfield(Selector("[name=data]"));
 const typeField = spectrum.textfield(Selector("[name=type]"));
 const mergeIdField = spectrum.textfield(Selector("[name=mergeId]"));
+const datasetIdField = spectrum.textfield(Selector("[name=datasetId]"));
+const schemaIdField = spectrum.textfield(Selector("[name=schemaId]"));
+const timeoutField = spectrum.textfield(Selector("[name=timeout]"));
 
 const mockExtensionSettings = {
   instances: [
@@ -49,16 +56,26 @@ test("initializes form fields with full settings", async t => {
     settings: {
       instanceName: "alloy2",
       viewStart: true,
+      documentUnloading: true,
       xdm: "%myDataLayer%",
+      data: "%myData%",
       type: "myType1",
-      mergeId: "%myMergeId%"
+      mergeId: "%myMergeId%",
+      datasetId: "%myDatasetId%",
+      schemaId: "%mySchemaId%",
+      timeout: 2000
     }
   });
   await instanceNameField.expectValue(t, "alloy2");
   await viewStartField.expectChecked(t);
+  await documentUnloadingField.expectChecked(t);
   await xdmField.expectValue(t, "%myDataLayer%");
+  await dataField.expectValue(t, "%myData%");
   await typeField.expectValue(t, "myType1");
   await mergeIdField.expectValue(t, "%myMergeId%");
+  await datasetIdField.expectValue(t, "%myDatasetId%");
+  await schemaIdField.expectValue(t, "%mySchemaId%");
+  await timeoutField.expectValue(t, "2000");
 });
 
 test("initializes form fields with minimal settings", async t => {
@@ -70,9 +87,14 @@ test("initializes form fields with minimal settings", async t => {
   });
   await instanceNameField.expectValue(t, "alloy1");
   await viewStartField.expectUnchecked(t);
+  await documentUnloadingField.expectUnchecked(t);
   await xdmField.expectValue(t, "");
+  await dataField.expectValue(t, "");
   await typeField.expectValue(t, "");
   await mergeIdField.expectValue(t, "");
+  await datasetIdField.expectValue(t, "");
+  await schemaIdField.expectValue(t, "");
+  await timeoutField.expectValue(t, "");
 });
 
 test("initializes form fields with no settings", async t => {
@@ -81,9 +103,14 @@ test("initializes form fields with no settings", async t => {
   });
   await instanceNameField.expectValue(t, "alloy1");
   await viewStartField.expectUnchecked(t);
+  await documentUnloadingField.expectUnchecked(t);
   await xdmField.expectValue(t, "");
+  await dataField.expectValue(t, "");
   await typeField.expectValue(t, "");
   await mergeIdField.expectValue(t, "");
+  await datasetIdField.expectValue(t, "");
+  await schemaIdField.expectValue(t, "");
+  await timeoutField.expectValue(t, "");
 });
 
 test("returns minimal valid settings", async t => {
@@ -103,16 +130,26 @@ test("returns full valid settings", async t => {
   });
   await instanceNameField.selectOption(t, "alloy2");
   await viewStartField.click(t);
+  await documentUnloadingField.click(t);
   await xdmField.typeText(t, "%myDataLayer%");
+  await dataField.typeText(t, "%myData%");
   await typeField.typeText(t, "mytype1");
   await mergeIdField.typeText(t, "%myMergeId%");
+  await datasetIdField.typeText(t, "5d3f6f3a9b4e2f0001a2b3c4");
+  await schemaIdField.typeText(t, "%mySchemaId%");
+  await timeoutField.typeText(t, "2000");
   await extensionViewController.expectIsValid(t);
   await extensionViewController.expectSettings(t, {
     instanceName: "alloy2",
     viewStart: true,
+    documentUnloading: true,
     xdm: "%myDataLayer%",
+    data: "%myData%",
     type: "mytype1",
-    mergeId: "%myMergeId%"
+    mergeId: "%myMergeId%",
+    datasetId: "5d3f6f3a9b4e2f0001a2b3c4",
+    schemaId: "%mySchemaId%",
+    timeout: 2000
   });
 });
 
@@ -134,4 +171,24 @@ test("shows error for xdm value that is more than one data element", async t =>
   await xdmField.expectError(t);
 });
 
+test("shows error for data value that is not a data element", async t => {
+  await extensionViewController.init(t, {
+    extensionSettings: mockExtensionSettings
+  });
+  await dataField.typeText(t, "myData");
+  await extensionViewController.expectIsNotValid(t);
+  await dataField.expectError(t);
+});
+
+["abc", "0", "1.5"].forEach(value => {
+  test(`shows error for timeout value "${value}"`, async t => {
+    await extensionViewController.init(t, {
+      extensionSettings: mockExtensionSettings
+    });
+    await timeoutField.typeText(t, value);
+    await extensionViewController.expectIsNotValid(t);
+    await timeoutField.expectError(t);
+  });
+});
+
 testInstanceNameOptions(extensionViewController, instanceNameField);
@@ -31,8 +31,31 @@ const mockExtensionSettings = {
   ]
 };
 
+const mockExtensionSettingsWithNamespaces = {
+  ...mockExtensionSettings,
+  namespaces: [
+    {
+      code: "CRM_ID",
+      name: "CRM ID"
+    },
+    {
+      code: "Email"
+    }
+  ]
+};
+
 const instanceNameField = spectrum.select(Selector("[name=instanceName]"));
 const addCustomerIdButton = spectrum.button(Selector("#addCustomerId"));
+const customerIdsTypeListField = spectrum.radio(
+  Selector("[name=customerIdsType][value=list]")
+);
+const customerIdsTypeDataElementField = spectrum.radio(
+  Selector("[name=customerIdsType][value=dataElement]")
+);
+const customerIdsDataElementField = spectrum.textfield(
+  Selector("[name=customerIdsDataElement]")
+);
+const forceSyncField = spectrum.checkbox(Selector("[name=forceSync]"));
 const customerIds = [];
 
 for (let i = 0; i < 2; i += 1) {
@@ -51,7 +74,14 @@ for (let i = 0; i < 2; i += 1) {
       Selector(`[name='customerIds.${i}.primary']`)
     ),
     deleteButton: spectrum.button(Selector(`#deleteButton${i}`)),
-    deleteDialog: spectrum.dialog(Selector(`#deleteCustomerId${i}`))
+    deleteDialog: spectrum.dialog(Selector(`#deleteCustomerId${i}`)),
+    namespaceNote: spectrum.note(Selector(`#namespaceNote${i}`)),
+    normalizationField: spectrum.select(
+      Selector(`[name='customerIds.${i}.normalization']`)
+    ),
+    phoneCountryCodeField: spectrum.textfield(
+      Selector(`[name='customerIds.${i}.phoneCountryCode']`)
+    )
   });
 }
 
@@ -115,6 +145,100 @@ test("initializes form fields with no settings", async t => {
   await customerIds[0].deleteButton.expectDisabled(t);
 });
 
+test("does not show namespace notes when there is no namespace catalog", async t => {
+  await extensionViewController.init(t, {
+    extensionSettings: mockExtensionSettings,
+    settings: {
+      instanceName: "alloy1",
+      customerIds: [
+        {
+          namespace: "CORE",
+          id: "wvg",
+          authenticatedState: "loggedOut",
+          primary: false,
+          hashEnabled: true
+        }
+      ]
+    }
+  });
+
+  await customerIds[0].namespaceNote.expectNotExists(t);
+  await extensionViewController.expectIsValid(t);
+});
+
+test("shows display name for namespace from the namespace catalog", async t => {
+  await extensionViewController.init(t, {
+    extensionSettings: mockExtensionSettingsWithNamespaces
+  });
+
+  await customerIds[0].namespaceField.typeText(t, "CRM_ID");
+  await customerIds[0].idField.typeText(t, "wvg");
+  await customerIds[0].authenticatedStateField.selectOption(t, "Logged Out");
+  await customerIds[0].namespaceNote.expectTextContains(t, "CRM ID");
+  await extensionViewController.expectIsValid(t);
+  await extensionViewController.expectSettings(t, {
+    instanceName: "alloy1",
+    customerIds: [
+      {
+        namespace: "CRM_ID",
+        id: "wvg",
+        authenticatedState: "loggedOut",
+        primary: false,
+        hashEnabled: false
+      }
+    ]
+  });
+});
+
+test("shows warning for namespace missing from the namespace catalog", async t => {
+  await extensionViewController.init(t, {
+    extensionSettings: mockExtensionSettingsWithNamespaces,
+    settings: {
+      instanceName: "alloy1",
+      customerIds: [
+        {
+          namespace: "CORE",
+          id: "wvg",
+          authenticatedState: "loggedOut",
+          primary: false,
+          hashEnabled: true
+        }
+      ]
+    }
+  });
+
+  await customerIds[0].namespaceNote.expectTextContains(
+    t,
+    "This namespace is not in the namespace catalog"
+  );
+  // Namespaces missing from the catalog are allowed.
+  await extensionViewController.expectIsValid(t);
+});
+
+test("shows note for namespace with different casing than the namespace catalog", async t => {
+  await extensionViewController.init(t, {
+    extensionSettings: mockExtensionSettingsWithNamespaces,
+    settings: {
+      instanceName: "alloy1",
+      customerIds: [
+        {
+          namespace: "email",
+          id: "wvg",
+          authenticatedState: "loggedOut",
+          primary: false,
+          hashEnabled: true
+        }
+      ]
+    }
+  });
+
+  await customerIds[0].namespaceNote.expectTextContains(
+    t,
+    'Namespaces are case-sensitive. Did you mean "Email"?'
+  );
+  await extensionViewController.expectIsValid(t);
+});
+
 test("shows error for namespace value that is a duplicate", async t => {
   await extensionViewController.init(t, {
     extensionSettings: mockExtensionSettings,
@@ -138,6 +262,29 @@ test("shows error for namespace value that is a duplicate", async t => {
   await customerIds[1].namespaceField.expectError(t);
 });
 
+test("shows error for namespace value that is a duplicate with different casing", async t => {
+  await extensionViewController.init(t, {
+    extensionSettings: mockExtensionSettings,
+    settings: {
+      instanceName: "alloy99",
+      customerIds: [
+        {
+          namespace: "CORE",
+          id: "wvg",
+          authenticatedState: "loggedOut",
+          primary: false,
+          hashEnabled: true
+        }
+      ]
+    }
+  });
+
+  await addCustomerIdButton.click(t);
+  await customerIds[1].namespaceField.typeText(t, "core");
+  await customerIds[1].idField.typeText(t, "zyx");
+  await customerIds[1].namespaceField.expectError(t);
+});
+
 test("shows error for primary value of true that is a duplicate", async t => {
   await extensionViewController.init(t, {
     extensionSettings: mockExtensionSettings,
@@ -212,3 +359,165 @@ test("deletes customer id", async t => {
     ]
   });
 });
+
+test("initializes form fields with customer IDs from a data element", async t => {
+  await extensionViewController.init(t, {
+    extensionSettings: mockExtensionSettings,
+    settings: {
+      instanceName: "alloy1",
+      customerIds: "%customerIds%"
+    }
+  });
+
+  await customerIdsTypeListField.expectUnchecked(t);
+  await customerIdsTypeDataElementField.expectChecked(t);
+  await customerIdsDataElementField.expectValue(t, "%customerIds%");
+  await customerIds[0].namespaceField.expectNotExists(t);
+  await extensionViewController.expectIsValid(t);
+});
+
+test("returns customer IDs from a data element", async t => {
+  await extensionViewController.init(t, {
+    extensionSettings: mockExtensionSettings
+  });
+
+  await customerIdsTypeListField.expectChecked(t);
+  await customerIdsTypeDataElementField.click(t);
+  await customerIdsDataElementField.typeText(t, "%customerIds%");
+  await extensionViewController.expectIsValid(t);
+  await extensionViewController.expectSettings(t, {
+    instanceName: "alloy1",
+    customerIds: "%customerIds%"
+  });
+});
+
+test("shows error for customer IDs data element value that is not a data element", async t => {
+  await extensionViewController.init(t, {
+    extensionSettings: mockExtensionSettings
+  });
+
+  await customerIdsTypeDataElementField.click(t);
+  await customerIdsDataElementField.typeText(t, "customerIds");
+  await extensionViewController.expectIsNotValid(t);
+  await customerIdsDataElementField.expectError(t);
+});
+
+test("initializes and returns forceSync", async t => {
+  await extensionViewController.init(t, {
+    extensionSettings: mockExtensionSettings,
+    settings: {
+      instanceName: "alloy1",
+      customerIds: "%customerIds%"
+    }
+  });
+
+  await forceSyncField.expectUnchecked(t);
+  await forceSyncField.click(t);
+  await extensionViewController.expectIsValid(t);
+  await extensionViewController.expectSettings(t, {
+    instanceName: "alloy1",
+    customerIds: "%customerIds%",
+    forceSync: true
+  });
+});
+
+test("initializes normalization fields", async t => {
+  await extensionViewController.init(t, {
+    extensionSettings: mockExtensionSettings,
+    settings: {
+      instanceName: "alloy1",
+      customerIds: [
+        {
+          namespace: "Phone",
+          id: "%phone%",
+          authenticatedState: "authenticated",
+          primary: false,
+          hashEnabled: true,
+          normalization: "phone",
+          phoneCountryCode: "44"
+        },
+        {
+          namespace: "Email",
+          id: "%email%",
+          authenticatedState: "authenticated",
+          primary: false,
+          hashEnabled: false
+        }
+      ]
+    }
+  });
+
+  await customerIds[0].normalizationField.expectValue(t, "phone");
+  await customerIds[0].phoneCountryCodeField.expectValue(t, "44");
+  await customerIds[1].normalizationField.expectNotExists(t);
+  await extensionViewController.expectIsValid(t);
+});
+
+test("returns normalization settings only for customer IDs that are hashed", async t => {
+  await extensionViewController.init(t, {
+    extensionSettings: mockExtensionSettings
+  });
+
+  await customerIds[0].namespaceField.typeText(t, "Phone");
+  await customerIds[0].idField.typeText(t, "%phone%");
+  await customerIds[0].authenticatedStateField.selectOption(t, "Authenticated");
+  await customerIds[0].normalizationField.expectNotExists(t);
+  await customerIds[0].hashEnabledField.click(t);
+  await customerIds[0].normalizationField.expectValue(t, "none");
+  await customerIds[0].phoneCountryCodeField.expectNotExists(t);
+  await customerIds[0].normalizationField.selectOption(
+    t,
+    "Phone number (E.164)"
+  );
+  await customerIds[0].phoneCountryCodeField.typeText(t, "1");
+  await addCustomerIdButton.click(t);
+  await customerIds[1].namespaceField.typeText(t, "Email");
+  await customerIds[1].idField.typeText(t, "%email%");
+  await customerIds[1].authenticatedStateField.selectOption(t, "Authenticated");
+  await customerIds[1].hashEnabledField.click(t);
+  await extensionViewController.expectIsValid(t);
+  await extensionViewController.expectSettings(t, {
+    instanceName: "alloy1",
+    customerIds: [
+      {
+        namespace: "Phone",
+        id: "%phone%",
+        authenticatedState: "authenticated",
+        primary: false,
+        hashEnabled: true,
+        normalization: "phone",
+        phoneCountryCode: "1"
+      },
+      {
+        namespace: "Email",
+        id: "%email%",
+        authenticatedState: "authenticated",
+        primary: false,
+        hashEnabled: true
+      }
+    ]
+  });
+});
+
+test("shows error for phone country calling code that is not a number", async t => {
+  await extensionViewController.init(t, {
+    extensionSettings: mockExtensionSettings,
+    settings: {
+      instanceName: "alloy1",
+      customerIds: [
+        {
+          namespace: "Phone",
+          id: "%phone%",
+          authenticatedState: "authenticated",
+          primary: false,
+          hashEnabled: true,
+          normalization: "phone"
+        }
+      ]
+    }
+  });
+
+  await customerIds[0].phoneCountryCodeField.typeText(t, "+44");
+  await extensionViewController.expectIsNotValid(t);
+  await customerIds[0].phoneCountryCodeField.expectError(t);
+});
@@ -0,0 +1,147 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import { Selector } from "testcafe";
+import createExtensionViewController from "../helpers/createExtensionViewController";
+import spectrum from "../helpers/spectrum";
+import testInstanceNameOptions from "../helpers/testInstanceNameOptions";
+
+const extensionViewController = createExtensionViewController(
+  "actions/setDebugMode.html"
+);
+const instancesRadioGroup = {
+  allField: spectrum.radio(Selector(`[name='instances'][value=all]`)),
+  singleField: spectrum.radio(Selector(`[name='instances'][value=single]`))
+};
+const instanceNameField = spectrum.select(Selector("[name=instanceName]"));
+const enabledRadioGroup = {
+  enableField: spectrum.radio(Selector(`[name='enabled'][value=enable]`)),
+  disableField: spectrum.radio(Selector(`[name='enabled'][value=disable]`)),
+  dataElementField: spectrum.radio(
+    Selector(`[name='enabled'][value=dataElement]`)
+  )
+};
+const enabledDataElementField = spectrum.textfield(
+  Selector("[name=enabledDataElement]")
+);
+
+const mockExtensionSettings = {
+  instances: [
+    {
+      name: "alloy1",
+      configId: "PR123"
+    },
+    {
+      name: "alloy2",
+      configId: "PR456"
+    }
+  ]
+};
+
+// disablePageReloads is not a publicized feature, but it sure helps speed up tests.
+// https://github.com/DevExpress/testcafe/issues/1770
+fixture("Set Debug Mode View").disablePageReloads.page(
+  "http://localhost:3000/viewSandbox.html"
+);
+
+test("initializes form fields with settings for a specific instance", async t => {
+  await extensionViewController.init(t, {
+    extensionSettings: mockExtensionSettings,
+    settings: {
+      instanceName: "alloy2",
+      enabled: false
+    }
+  });
+  await instancesRadioGroup.singleField.expectChecked(t);
+  await instanceNameField.expectValue(t, "alloy2");
+  await enabledRadioGroup.disableField.expectChecked(t);
+});
+
+test("initializes form fields with settings containing data element for enabled", async t => {
+  await extensionViewController.init(t, {
+    extensionSettings: mockExtensionSettings,
+    settings: {
+      enabled: "%qaCookie%"
+    }
+  });
+  await instancesRadioGroup.allField.expectChecked(t);
+  await instanceNameField.expectNotExists(t);
+  await enabledRadioGroup.dataElementField.expectChecked(t);
+  await enabledDataElementField.expectValue(t, "%qaCookie%");
+});
+
+test("initializes form fields with no settings", async t => {
+  await extensionViewController.init(t, {
+    extensionSettings: mockExtensionSettings
+  });
+  await instancesRadioGroup.allField.expectChecked(t);
+  await enabledRadioGroup.enableField.expectChecked(t);
+});
+
+test("returns valid settings for all instances", async t => {
+  await extensionViewController.init(t, {
+    extensionSettings: mockExtensionSettings
+  });
+  await extensionViewController.expectIsValid(t);
+  await extensionViewController.expectSettings(t, {
+    enabled: true
+  });
+});
+
+test("returns valid settings for a specific instance", async t => {
+  await extensionViewController.init(t, {
+    extensionSettings: mockExtensionSettings
+  });
+  await instancesRadioGroup.singleField.click(t);
+  await instanceNameField.selectOption(t, "alloy2");
+  await enabledRadioGroup.disableField.click(t);
+  await extensionViewController.expectIsValid(t);
+  await extensionViewController.expectSettings(t, {
+    instanceName: "alloy2",
+    enabled: false
+  });
+});
+
+test("returns valid settings containing data element for enabled", async t => {
+  await extensionViewController.init(t, {
+    extensionSettings: mockExtensionSettings
+  });
+  await enabledRadioGroup.dataElementField.click(t);
+  await enabledDataElementField.typeText(t, "%qaCookie%");
+  await extensionViewController.expectIsValid(t);
+  await extensionViewController.expectSettings(t, {
+    enabled: "%qaCookie%"
+  });
+});
+
+test("shows error for enabled data element value that is not a data element", async t => {
+  await extensionViewController.init(t, {
+    extensionSettings: mockExtensionSettings
+  });
+  await enabledRadioGroup.dataElementField.click(t);
+  await enabledDataElementField.typeText(t, "true");
+  await extensionViewController.expectIsNotValid(t);
+  await enabledDataElementField.expectError(t);
+});
+
+test("shows instance options for a specific instance", async t => {
+  await extensionViewController.init(t, {
+    extensionSettings: mockExtensionSettings,
+    settings: {
+      instanceName: "alloy1",
+      enabled: true
+    }
+  });
+  await instanceNameField.expectOptionLabels(t, ["alloy1", "alloy2"]);
+});
+
+testInstanceNameOptions(extensionViewController, instanceNameField);
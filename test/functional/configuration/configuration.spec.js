@@ -10,9 +10,10 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 
-import { Selector } from "testcafe";
+import { Selector, RequestMock } from "testcafe";
 import createExtensionViewController from "../helpers/createExtensionViewController";
 import spectrum from "../helpers/spectrum";
+import alloyVersion from "../../../src/view/constants/alloyVersion";
 
 const extensionViewController = createExtensionViewController(
   "configuration/configuration.html"
@@ -22,6 +23,36 @@ const addInstanceButton = spectrum.button(
   Selector(".spectrum-Button").withText("Add Instance")
 );
 const accordion = spectrum.accordion(Selector(".spectrum-Accordion"));
+const exportButton = spectrum.button(Selector("#exportButton"));
+const importButton = spectrum.button(Selector("#importButton"));
+const importErrorsAlert = spectrum.alert(Selector("#importErrorsAlert"));
+const testConnectionButton = spectrum.button(Selector("#testConnectionButton"));
+const testConnectionResult = spectrum.alert(Selector("#testConnectionResult"));
+
+// Stands in for the Edge so the connection test can be run without
+// reaching Adobe's servers.
+const corsHeaders = { "access-control-allow-origin": "*" };
+const edgeMock = RequestMock()
+  .onRequestTo(
+    /^https:\/\/edge\.example\.com\/ee\/v1\/interact\?configId=PR123$/
+  )
+  .respond({ handle: [] }, 200, corsHeaders)
+  .onRequestTo(
+    /^https:\/\/edge\.example\.com\/ee\/v1\/interact\?configId=BADCONFIG$/
+  )
+  .respond(
+    {
+      errors: [
+        {
+          code: "EXEG-0003-400",
+          message: "The config ID is invalid."
+        }
+      ]
+    },
+    400,
+    corsHeaders
+  );
+const alloyVersionNote = spectrum.note(Selector("#alloyVersion"));
 const resourceUsageDialog = spectrum.dialog(Selector(".spectrum-Dialog"));
 
 const instances = [];
@@ -50,6 +81,20 @@ for (let i = 0; i < 2; i += 1) {
     errorsEnabledField: spectrum.checkbox(
       Selector(`[name='instances.${i}.errorsEnabled']`)
     ),
+    debugEnabled: {
+      disableField: spectrum.radio(
+        Selector(`[name='instances.${i}.debugEnabled'][value=disable]`)
+      ),
+      enableField: spectrum.radio(
+        Selector(`[name='instances.${i}.debugEnabled'][value=enable]`)
+      ),
+      dataElementField: spectrum.radio(
+        Selector(`[name='instances.${i}.debugEnabled'][value=dataElement]`)
+      )
+    },
+    debugEnabledDataElementField: spectrum.textfield(
+      Selector(`[name='instances.${i}.debugEnabledDataElement']`)
+    ),
     optInEnabledField: spectrum.checkbox(
       Selector(`[name='instances.${i}.optInEnabled']`)
     ),
@@ -62,6 +107,9 @@ for (let i = 0; i < 2; i += 1) {
     idMigrationEnabled: spectrum.checkbox(
       Selector(`[name='instances.${i}.idMigrationEnabled']`)
     ),
+    thirdPartyCookiesEnabledField: spectrum.checkbox(
+      Selector(`[name='instances.${i}.thirdPartyCookiesEnabled']`)
+    ),
     urlDestinationsEnabledField: spectrum.checkbox(
       Selector(`[name='instances.${i}.urlDestinationsEnabled']`)
     ),
@@ -85,9 +133,31 @@ for (let i = 0; i < 2; i += 1) {
     downloadLinkQualifierTestButton: spectrum.button(
       Selector(`#downloadLinkQualifierTestButton`)
     ),
+    onBeforeEventSendType: {
+      dataElementField: spectrum.radio(
+        Selector(
+          `[name='instances.${i}.onBeforeEventSendType'][value=dataElement]`
+        )
+      ),
+      codeField: spectrum.radio(
+        Selector(`[name='instances.${i}.onBeforeEventSendType'][value=code]`)
+      )
+    },
     onBeforeEventSendField: spectrum.textfield(
       Selector(`[name='instances.${i}.onBeforeEventSend']`)
     ),
+    // The prehiding style editor button comes first in the view.
+    onBeforeEventSendCodeField: spectrum.button(
+      Selector(`button`)
+        .withText("Open Editor")
+        .nth(1)
+    ),
+    datasetIdField: spectrum.textfield(
+      Selector(`[name='instances.${i}.datasetId']`)
+    ),
+    schemaIdField: spectrum.textfield(
+      Selector(`[name='instances.${i}.schemaId']`)
+    ),
     contextGranularity: {
       allField: spectrum.radio(
         Selector(`[name='instances.${i}.contextGranularity'][value=all]`)
@@ -106,6 +176,29 @@ for (let i = 0; i < 2; i += 1) {
   });
 }
 
+const environmentOverrides = {};
+
+["development", "staging", "production"].forEach(environment => {
+  environmentOverrides[environment] = {
+    configIdField: spectrum.textfield(Selector(`#${environment}ConfigIdField`)),
+    orgIdField: spectrum.textfield(Selector(`#${environment}OrgIdField`)),
+    edgeDomainField: spectrum.textfield(
+      Selector(`#${environment}EdgeDomainField`)
+    )
+  };
+});
+
+const addNamespaceButton = spectrum.button(Selector("#addNamespaceButton"));
+const namespaces = [];
+
+for (let i = 0; i < 2; i += 1) {
+  namespaces.push({
+    codeField: spectrum.textfield(Selector(`#namespaceCodeField${i}`)),
+    nameField: spectrum.textfield(Selector(`#namespaceNameField${i}`)),
+    deleteButton: spectrum.button(Selector(`#deleteNamespaceButton${i}`))
+  });
+}
+
 // disablePageReloads is not a publicized feature, but it sure helps speed up tests.
 // https://github.com/DevExpress/testcafe/issues/1770
 fixture("Extension Configuration View").disablePageReloads.page(
@@ -136,15 +229,19 @@ test("initializes form fields with full settings", async t => {
             edgeDomain: "testedge.com",
             edgeBasePath: "ee-beta",
             errorsEnabled: false,
+            debugEnabled: "%isDevelopment%",
             optInEnabled: true,
             idSyncEnabled: true,
             idSyncContainerId: 123,
             idMigrationEnabled: true,
+            thirdPartyCookiesEnabled: false,
             urlDestinationsEnabled: true,
             cookieDestinationsEnabled: false,
             prehidingStyle: "#container { display: none }",
             context: ["device", "placeContext"],
-            clickCollectionEnabled: false
+            clickCollectionEnabled: false,
+            datasetId: "%myDatasetId%",
+            schemaId: "https://ns.example.com/schemas/web"
           },
           {
             name: "alloy2",
@@ -172,10 +269,16 @@ test("initializes form fields with full settings", async t => {
   await instances[0].edgeDomainField.expectValue(t, "testedge.com");
   await instances[0].edgeBasePathField.expectValue(t, "ee-beta");
   await instances[0].errorsEnabledField.expectUnchecked(t);
+  await instances[0].debugEnabled.dataElementField.expectChecked(t);
+  await instances[0].debugEnabledDataElementField.expectValue(
+    t,
+    "%isDevelopment%"
+  );
   await instances[0].optInEnabledField.expectChecked(t);
   await instances[0].idSyncEnabledField.expectChecked(t);
   await instances[0].idSyncContainerIdField.expectValue(t, "123");
   await instances[0].idMigrationEnabled.expectChecked(t);
+  await instances[0].thirdPartyCookiesEnabledField.expectUnchecked(t);
   await instances[0].urlDestinationsEnabledField.expectChecked(t);
   await instances[0].cookieDestinationsEnabledField.expectUnchecked(t);
   await instances[0].clickCollectionEnabledField.expectUnchecked(t);
@@ -184,6 +287,11 @@ test("initializes form fields with full settings", async t => {
   await instances[0].specificContext.deviceField.expectChecked(t);
   await instances[0].specificContext.environmentField.expectUnchecked(t);
   await instances[0].specificContext.placeContextField.expectChecked(t);
+  await instances[0].datasetIdField.expectValue(t, "%myDatasetId%");
+  await instances[0].schemaIdField.expectValue(
+    t,
+    "https://ns.example.com/schemas/web"
+  );
 
   await accordion.clickHeader(t, "ALLOY2");
 
@@ -193,10 +301,13 @@ test("initializes form fields with full settings", async t => {
   await instances[1].edgeDomainField.expectValue(t, defaultEdgeDomain);
   await instances[1].edgeBasePathField.expectValue(t, defaultEdgeBasePath);
   await instances[1].errorsEnabledField.expectChecked(t);
+  await instances[1].debugEnabled.disableField.expectChecked(t);
+  await instances[1].debugEnabledDataElementField.expectNotExists(t);
   await instances[1].optInEnabledField.expectUnchecked(t);
   await instances[1].idSyncEnabledField.expectUnchecked(t);
   await instances[1].idSyncContainerIdField.expectNotExists(t);
   await instances[1].idMigrationEnabled.expectUnchecked(t);
+  await instances[1].thirdPartyCookiesEnabledField.expectChecked(t);
   await instances[1].urlDestinationsEnabledField.expectChecked(t);
   await instances[1].cookieDestinationsEnabledField.expectChecked(t);
   await instances[1].clickCollectionEnabledField.expectChecked(t);
@@ -209,6 +320,8 @@ test("initializes form fields with full settings", async t => {
   await instances[1].specificContext.deviceField.expectUnchecked(t);
   await instances[1].specificContext.environmentField.expectUnchecked(t);
   await instances[1].specificContext.placeContextField.expectUnchecked(t);
+  await instances[1].datasetIdField.expectValue(t, "");
+  await instances[1].schemaIdField.expectValue(t, "");
 });
 
 test("initializes form fields with minimal settings", async t => {
@@ -232,10 +345,13 @@ test("initializes form fields with minimal settings", async t => {
   await instances[0].edgeDomainField.expectValue(t, defaultEdgeDomain);
   await instances[0].edgeBasePathField.expectValue(t, defaultEdgeBasePath);
   await instances[0].errorsEnabledField.expectChecked(t);
+  await instances[0].debugEnabled.disableField.expectChecked(t);
+  await instances[0].debugEnabledDataElementField.expectNotExists(t);
   await instances[0].optInEnabledField.expectUnchecked(t);
   await instances[0].idSyncEnabledField.expectChecked(t);
   await instances[0].idSyncContainerIdField.expectValue(t, "");
   await instances[0].idMigrationEnabled.expectChecked(t);
+  await instances[0].thirdPartyCookiesEnabledField.expectChecked(t);
   await instances[0].urlDestinationsEnabledField.expectChecked(t);
   await instances[0].cookieDestinationsEnabledField.expectChecked(t);
   await instances[0].clickCollectionEnabledField.expectChecked(t);
@@ -244,7 +360,10 @@ test("initializes form fields with minimal settings", async t => {
     defaultDownloadLinkQualifier
   );
   await instances[0].contextGranularity.allField.expectChecked(t);
+  await instances[0].onBeforeEventSendType.dataElementField.expectChecked(t);
   await instances[0].onBeforeEventSendField.expectValue(t, "");
+  await instances[0].datasetIdField.expectValue(t, "");
+  await instances[0].schemaIdField.expectValue(t, "");
 });
 
 test("initializes form fields with no settings", async t => {
@@ -256,10 +375,13 @@ test("initializes form fields with no settings", async t => {
   await instances[0].edgeDomainField.expectValue(t, defaultEdgeDomain);
   await instances[0].edgeBasePathField.expectValue(t, defaultEdgeBasePath);
   await instances[0].errorsEnabledField.expectChecked(t);
+  await instances[0].debugEnabled.disableField.expectChecked(t);
+  await instances[0].debugEnabledDataElementField.expectNotExists(t);
   await instances[0].optInEnabledField.expectUnchecked(t);
   await instances[0].idSyncEnabledField.expectChecked(t);
   await instances[0].idSyncContainerIdField.expectValue(t, "");
   await instances[0].idMigrationEnabled.expectChecked(t);
+  await instances[0].thirdPartyCookiesEnabledField.expectChecked(t);
   await instances[0].urlDestinationsEnabledField.expectChecked(t);
   await instances[0].cookieDestinationsEnabledField.expectChecked(t);
   await instances[0].clickCollectionEnabledField.expectChecked(t);
@@ -268,7 +390,10 @@ test("initializes form fields with no settings", async t => {
     defaultDownloadLinkQualifier
   );
   await instances[0].contextGranularity.allField.expectChecked(t);
+  await instances[0].onBeforeEventSendType.dataElementField.expectChecked(t);
   await instances[0].onBeforeEventSendField.expectValue(t, "");
+  await instances[0].datasetIdField.expectValue(t, "");
+  await instances[0].schemaIdField.expectValue(t, "");
 });
 
 test("returns minimal valid settings", async t => {
@@ -303,13 +428,17 @@ test("returns full valid settings", async t => {
   await instances[0].edgeDomainField.typeText(t, "2");
   await instances[0].edgeBasePathField.typeText(t, "-alpha");
   await instances[0].errorsEnabledField.click(t);
+  await instances[0].debugEnabled.enableField.click(t);
   await instances[0].optInEnabledField.click(t);
   await instances[0].idSyncContainerIdField.typeText(t, "123");
   await instances[0].idMigrationEnabled.click(t);
+  await instances[0].thirdPartyCookiesEnabledField.click(t);
   await instances[0].urlDestinationsEnabledField.click(t);
   await instances[0].cookieDestinationsEnabledField.click(t);
   await instances[0].prehidingStyleField.click(t);
   await instances[0].onBeforeEventSendField.typeText(t, "%foo%");
+  await instances[0].datasetIdField.typeText(t, "%myDatasetId%");
+  await instances[0].schemaIdField.typeText(t, "%mySchemaId%");
   await addInstanceButton.click(t);
 
   await instances[1].nameField.typeText(t, "2");
@@ -331,13 +460,17 @@ test("returns full valid settings", async t => {
         edgeDomain: `${defaultEdgeDomain}2`,
         edgeBasePath: `${defaultEdgeBasePath}-alpha`,
         errorsEnabled: false,
+        debugEnabled: true,
         optInEnabled: true,
         idSyncContainerId: 123,
         idMigrationEnabled: false,
+        thirdPartyCookiesEnabled: false,
         urlDestinationsEnabled: false,
         cookieDestinationsEnabled: false,
         prehidingStyle: "#container { display: none } // css",
-        onBeforeEventSend: "%foo%"
+        onBeforeEventSend: "%foo%",
+        datasetId: "%myDatasetId%",
+        schemaId: "%mySchemaId%"
       },
       {
         name: "alloy2",
@@ -551,6 +684,36 @@ test("ignores ID sync container ID value when ID sync is disabled", async t => {
   });
 });
 
+test("returns debugEnabled data element", async t => {
+  await extensionViewController.init(t, defaultInitInfo);
+
+  await instances[0].configIdField.typeText(t, "PR123");
+  await instances[0].debugEnabled.dataElementField.click(t);
+  await instances[0].debugEnabledDataElementField.typeText(
+    t,
+    "%isDevelopment%"
+  );
+  await extensionViewController.expectIsValid(t);
+  await extensionViewController.expectSettings(t, {
+    instances: [
+      {
+        configId: "PR123",
+        name: "alloy",
+        debugEnabled: "%isDevelopment%"
+      }
+    ]
+  });
+});
+
+test("shows error for debugEnabled data element value that is not a data element", async t => {
+  await extensionViewController.init(t, defaultInitInfo);
+  await instances[0].configIdField.typeText(t, "PR123");
+  await instances[0].debugEnabled.dataElementField.click(t);
+  await instances[0].debugEnabledDataElementField.typeText(t, "true");
+  await extensionViewController.expectIsNotValid(t);
+  await instances[0].debugEnabledDataElementField.expectError(t);
+});
+
 test("shows error for onBeforeEventSend value that is an arbitrary string", async t => {
   await extensionViewController.init(t, defaultInitInfo);
   await instances[0].configIdField.typeText(t, "PR123");
@@ -574,6 +737,121 @@ test("does not show error for onBeforeEventSend value that is a single data elem
   await extensionViewController.expectIsValid(t);
 });
 
+test("initializes onBeforeEventSend custom code", async t => {
+  await extensionViewController.init(
+    t,
+    Object.assign({}, defaultInitInfo, {
+      settings: {
+        instances: [
+          {
+            name: "alloy1",
+            configId: "PR123",
+            onBeforeEventSendCode: "content.xdm.foo = 'bar';"
+          }
+        ]
+      }
+    })
+  );
+
+  await instances[0].onBeforeEventSendType.codeField.expectChecked(t);
+  await instances[0].onBeforeEventSendField.expectNotExists(t);
+});
+
+test("returns onBeforeEventSend custom code", async t => {
+  await extensionViewController.init(t, defaultInitInfo, {
+    openCodeEditor(options) {
+      return Promise.resolve(
+        // We include options.language in the result
+        // just so we can assert that the code editor
+        // was properly configured for editing JavaScript
+        `content.xdm.foo = 'bar'; // ${options.language}`
+      );
+    }
+  });
+
+  await instances[0].configIdField.typeText(t, "PR123");
+  await instances[0].onBeforeEventSendField.typeText(t, "%foo%");
+  await instances[0].onBeforeEventSendType.codeField.click(t);
+  await instances[0].onBeforeEventSendCodeField.click(t);
+  await extensionViewController.expectIsValid(t);
+  await extensionViewController.expectSettings(t, {
+    instances: [
+      {
+        name: "alloy",
+        configId: "PR123",
+        onBeforeEventSendCode: "content.xdm.foo = 'bar'; // javascript"
+      }
+    ]
+  });
+});
+
+test("initializes environment override fields", async t => {
+  await extensionViewController.init(
+    t,
+    Object.assign({}, defaultInitInfo, {
+      settings: {
+        instances: [
+          {
+            name: "alloy1",
+            configId: "PR123",
+            environmentOverrides: {
+              development: {
+                configId: "PR123DEV",
+                edgeDomain: "dev.example.com"
+              },
+              staging: {
+                orgId: "STAGING@AdobeOrg"
+              }
+            }
+          }
+        ]
+      }
+    })
+  );
+  await environmentOverrides.development.configIdField.expectValue(
+    t,
+    "PR123DEV"
+  );
+  await environmentOverrides.development.orgIdField.expectValue(t, "");
+  await environmentOverrides.development.edgeDomainField.expectValue(
+    t,
+    "dev.example.com"
+  );
+  await environmentOverrides.staging.configIdField.expectValue(t, "");
+  await environmentOverrides.staging.orgIdField.expectValue(
+    t,
+    "STAGING@AdobeOrg"
+  );
+  await environmentOverrides.production.configIdField.expectValue(t, "");
+});
+
+test("returns valid settings containing environment overrides", async t => {
+  await extensionViewController.init(t, defaultInitInfo);
+  await instances[0].configIdField.typeText(t, "PR123");
+  await environmentOverrides.development.configIdField.typeText(t, "PR123DEV");
+  await environmentOverrides.staging.edgeDomainField.typeText(
+    t,
+    "staging.example.com"
+  );
+  await extensionViewController.expectIsValid(t);
+  await extensionViewController.expectSettings(t, {
+    instances: [
+      {
+        configId: "PR123",
+        name: "alloy",
+        environmentOverrides: {
+          development: {
+            configId: "PR123DEV"
+          },
+          staging: {
+            edgeDomain: "staging.example.com"
+          }
+        }
+      }
+    ]
+  });
+});
+
 test("deletes an instance", async t => {
   await extensionViewController.init(t, defaultInitInfo);
   await instances[0].configIdField.typeText(t, "PR123");
@@ -595,3 +873,313 @@ test("deletes an instance", async t => {
   await resourceUsageDialog.clickConfirm(t);
   await instances[0].configIdField.expectValue(t, "PR456");
 });
+
+test("initializes namespace catalog fields", async t => {
+  await extensionViewController.init(t, {
+    ...defaultInitInfo,
+    settings: {
+      instances: [
+        {
+          name: "alloy",
+          configId: "PR123"
+        }
+      ],
+      namespaces: [
+        {
+          code: "CRM_ID",
+          name: "CRM ID"
+        },
+        {
+          code: "Email"
+        }
+      ]
+    }
+  });
+
+  await namespaces[0].codeField.expectValue(t, "CRM_ID");
+  await namespaces[0].nameField.expectValue(t, "CRM ID");
+  await namespaces[1].codeField.expectValue(t, "Email");
+  await namespaces[1].nameField.expectValue(t, "");
+});
+
+test("returns valid settings containing the namespace catalog", async t => {
+  await extensionViewController.init(t, defaultInitInfo);
+
+  await instances[0].configIdField.typeText(t, "PR123");
+  await addNamespaceButton.click(t);
+  await namespaces[0].codeField.typeText(t, "CRM_ID");
+  await namespaces[0].nameField.typeText(t, "CRM ID");
+  await addNamespaceButton.click(t);
+  await namespaces[1].codeField.typeText(t, "Email");
+  await extensionViewController.expectIsValid(t);
+  await extensionViewController.expectSettings(t, {
+    instances: [
+      {
+        configId: "PR123",
+        name: "alloy"
+      }
+    ],
+    namespaces: [
+      {
+        code: "CRM_ID",
+        name: "CRM ID"
+      },
+      {
+        code: "Email"
+      }
+    ]
+  });
+});
+
+test("shows error for empty namespace code", async t => {
+  await extensionViewController.init(t, defaultInitInfo);
+
+  await instances[0].configIdField.typeText(t, "PR123");
+  await addNamespaceButton.click(t);
+  await extensionViewController.expectIsNotValid(t);
+  await namespaces[0].codeField.expectError(t);
+});
+
+test("shows error for duplicate namespace code with different casing", async t => {
+  await extensionViewController.init(t, defaultInitInfo);
+
+  await instances[0].configIdField.typeText(t, "PR123");
+  await addNamespaceButton.click(t);
+  await namespaces[0].codeField.typeText(t, "Email");
+  await addNamespaceButton.click(t);
+  await namespaces[1].codeField.typeText(t, "EMAIL");
+  await extensionViewController.expectIsNotValid(t);
+  await namespaces[1].codeField.expectError(t);
+});
+
+test("deletes a namespace", async t => {
+  await extensionViewController.init(t, defaultInitInfo);
+
+  await instances[0].configIdField.typeText(t, "PR123");
+  await addNamespaceButton.click(t);
+  await namespaces[0].codeField.typeText(t, "CRM_ID");
+  await namespaces[0].deleteButton.click(t);
+  await namespaces[0].codeField.expectNotExists(t);
+  await extensionViewController.expectIsValid(t);
+  await extensionViewController.expectSettings(t, {
+    instances: [
+      {
+        configId: "PR123",
+        name: "alloy"
+      }
+    ]
+  });
+});
+
+test("imports settings from JSON", async t => {
+  await extensionViewController.init(t, defaultInitInfo, {
+    openCodeEditor() {
+      return Promise.resolve(
+        JSON.stringify({
+          instances: [
+            {
+              name: "alloy1",
+              configId: "PR123",
+              edgeDomain: "testedge.com",
+              optInEnabled: true
+            }
+          ]
+        })
+      );
+    }
+  });
+  await importButton.click(t);
+  await importErrorsAlert.expectNotExists(t);
+  await instances[0].nameField.expectValue(t, "alloy1");
+  await instances[0].configIdField.expectValue(t, "PR123");
+  await instances[0].edgeDomainField.expectValue(t, "testedge.com");
+  await instances[0].optInEnabledField.expectChecked(t);
+  await extensionViewController.expectIsValid(t);
+  await extensionViewController.expectSettings(t, {
+    instances: [
+      {
+        name: "alloy1",
+        configId: "PR123",
+        edgeDomain: "testedge.com",
+        optInEnabled: true
+      }
+    ]
+  });
+});
+
+test("exports settings that can be imported", async t => {
+  const settings = {
+    instances: [
+      {
+        name: "alloy1",
+        configId: "PR123",
+        idSyncContainerId: 123,
+        context: ["web"]
+      },
+      {
+        name: "alloy2",
+        configId: "PR456",
+        orgId: "DIFFERENT@AdobeOrg"
+      }
+    ]
+  };
+  const openCodeEditor = options => {
+    // Exporting passes the exported JSON to the editor. Importing opens an
+    // empty editor, so we return whatever was last exported.
+    if (options.code) {
+      window.exportedSettings = options.code;
+    }
+    return Promise.resolve(window.exportedSettings);
+  };
+
+  await extensionViewController.init(
+    t,
+    Object.assign({}, defaultInitInfo, { settings }),
+    { openCodeEditor }
+  );
+  await exportButton.click(t);
+  await extensionViewController.init(t, defaultInitInfo, { openCodeEditor });
+  await importButton.click(t);
+  await extensionViewController.expectIsValid(t);
+  await extensionViewController.expectSettings(t, settings);
+});
+
+test("shows an error when imported JSON can't be parsed", async t => {
+  await extensionViewController.init(t, defaultInitInfo, {
+    openCodeEditor() {
+      return Promise.resolve("{ instances: ");
+    }
+  });
+  await instances[0].configIdField.typeText(t, "PR123");
+  await importButton.click(t);
+  await importErrorsAlert.expectTitle(t, "Import Failed");
+  await importErrorsAlert.expectTextContains(
+    t,
+    "The JSON could not be parsed."
+  );
+  await instances[0].configIdField.expectValue(t, "PR123");
+});
+
+test("does nothing when the code editor is closed without importing", async t => {
+  await extensionViewController.init(t, defaultInitInfo, {
+    openCodeEditor() {
+      return Promise.reject(new Error("The editor was closed."));
+    }
+  });
+  await instances[0].configIdField.typeText(t, "PR123");
+  await importButton.click(t);
+  await importErrorsAlert.expectNotExists(t);
+  await instances[0].configIdField.expectValue(t, "PR123");
+});
+
+test("shows an error when imported instances aren't objects", async t => {
+  await extensionViewController.init(t, defaultInitInfo, {
+    openCodeEditor() {
+      return Promise.resolve('{ "instances": [null] }');
+    }
+  });
+  await importButton.click(t);
+  await importErrorsAlert.expectTitle(t, "Import Failed");
+  await importErrorsAlert.expectTextContains(
+    t,
+    "Each instance must be an object."
+  );
+});
+
+test("keeps the namespace catalog when imported settings have no namespaces", async t => {
+  await extensionViewController.init(t, defaultInitInfo, {
+    openCodeEditor() {
+      return Promise.resolve(
+        JSON.stringify({
+          instances: [
+            {
+              name: "alloy1",
+              configId: "PR123"
+            }
+          ]
+        })
+      );
+    }
+  });
+  await addNamespaceButton.click(t);
+  await namespaces[0].codeField.typeText(t, "CRM_ID");
+  await importButton.click(t);
+  await importErrorsAlert.expectNotExists(t);
+  await instances[0].configIdField.expectValue(t, "PR123");
+  await namespaces[0].codeField.expectValue(t, "CRM_ID");
+});
+
+test("shows errors per field when imported settings are invalid", async t => {
+  await extensionViewController.init(t, defaultInitInfo, {
+    openCodeEditor() {
+      return Promise.resolve(
+        JSON.stringify({
+          instances: [
+            {
+              name: "alloy1"
+            },
+            {
+              name: "alloy2",
+              configId: "PR456",
+              onBeforeEventSend: "foo"
+            }
+          ]
+        })
+      );
+    }
+  });
+  await instances[0].configIdField.typeText(t, "PR123");
+  await importButton.click(t);
+  await importErrorsAlert.expectTextContains(
+    t,
+    "instances[0].configId: Please specify a config ID."
+  );
+  await importErrorsAlert.expectTextContains(
+    t,
+    "instances[1].onBeforeEventSend: Please specify a data element."
+  );
+  await instances[0].configIdField.expectValue(t, "PR123");
+});
+
+test.requestHooks(edgeMock)("reports a successful connection test", async t => {
+  await extensionViewController.init(t, defaultInitInfo);
+  await instances[0].configIdField.typeText(t, "PR123");
+  await instances[0].edgeDomainField.clear(t);
+  await instances[0].edgeDomainField.typeText(t, "edge.example.com");
+  await testConnectionButton.click(t);
+  await testConnectionResult.expectTitle(t, "Connection Succeeded");
+  await testConnectionResult.expectTextContains(t, "HTTP status: 200");
+});
+
+test.requestHooks(edgeMock)(
+  "reports the status and Edge errors of a failed connection test",
+  async t => {
+    await extensionViewController.init(t, defaultInitInfo);
+    await instances[0].configIdField.typeText(t, "BADCONFIG");
+    await instances[0].edgeDomainField.clear(t);
+    await instances[0].edgeDomainField.typeText(t, "edge.example.com");
+    await testConnectionButton.click(t);
+    await testConnectionResult.expectTitle(t, "Connection Failed");
+    await testConnectionResult.expectTextContains(t, "HTTP status: 400");
+    await testConnectionResult.expectTextContains(
+      t,
+      "The config ID is invalid."
+    );
+  }
+);
+
+test("does not test the connection when values are provided by data elements", async t => {
+  await extensionViewController.init(t, defaultInitInfo);
+  await instances[0].configIdField.typeText(t, "%configId%");
+  await testConnectionButton.click(t);
+  await testConnectionResult.expectTitle(t, "Connection Failed");
+  await testConnectionResult.expectTextContains(
+    t,
+    "The connection cannot be tested while values are provided by data elements."
+  );
+});
+
+test("shows the version of the bundled Alloy library", async t => {
+  await extensionViewController.init(t, defaultInitInfo);
+  await alloyVersionNote.expectTextContains(t, alloyVersion);
+});
@@ -19,8 +19,8 @@ const extensionViewController = createExtensionViewController(
 
 // disablePageReloads is not a publicized feature, but it sure helps speed up tests.
 // https://github.com/DevExpress/testcafe/issues/1770
-fixture("ECID and Event Merge ID View").disablePageReloads.page(
-  "http://localhost:3000/viewSandbox.html"
-);
+fixture(
+  "ECID, Event Merge ID, Library Info, and Instance Status View"
+).disablePageReloads.page("http://localhost:3000/viewSandbox.html");
 
 testInstanceNameOnlyView(extensionViewController);
@@ -0,0 +1,255 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import { Selector } from "testcafe";
+import createExtensionViewController from "../helpers/createExtensionViewController";
+import spectrum from "../helpers/spectrum";
+
+const extensionViewController = createExtensionViewController(
+  "dataElements/xdmObject.html"
+);
+
+const getNodeFields = fieldName => ({
+  nameField: spectrum.textfield(Selector(`[name='${fieldName}.name']`)),
+  typeField: spectrum.select(Selector(`[name='${fieldName}.type']`)),
+  valueTypeField: spectrum.select(Selector(`[name='${fieldName}.valueType']`)),
+  valueField: spectrum.textfield(Selector(`[name='${fieldName}.value']`)),
+  addButton: spectrum.button(
+    Selector(`#${fieldName.replace(/\./g, "_")}_addButton`)
+  ),
+  deleteButton: spectrum.button(
+    Selector(`#${fieldName.replace(/\./g, "_")}_deleteButton`)
+  )
+});
+
+const rootAddButton = spectrum.button(Selector("#xdm_addButton"));
+
+// disablePageReloads is not a publicized feature, but it sure helps speed up tests.
+// https://github.com/DevExpress/testcafe/issues/1770
+fixture("XDM Object View").disablePageReloads.page(
+  "http://localhost:3000/viewSandbox.html"
+);
+
+test("initializes form fields with settings", async t => {
+  await extensionViewController.init(t, {
+    settings: {
+      xdm: {
+        web: {
+          webPageDetails: {
+            name: "%pageName%"
+          }
+        },
+        productListItems: [
+          {
+            SKU: "%sku%"
+          }
+        ]
+      }
+    }
+  });
+
+  const web = getNodeFields("xdm.children.0");
+  const webPageDetails = getNodeFields("xdm.children.0.children.0");
+  const name = getNodeFields("xdm.children.0.children.0.children.0");
+  const productListItems = getNodeFields("xdm.children.1");
+  const sku = getNodeFields("xdm.children.1.children.0.children.0");
+
+  await web.nameField.expectValue(t, "web");
+  await web.typeField.expectValue(t, "object");
+  await webPageDetails.nameField.expectValue(t, "webPageDetails");
+  await name.nameField.expectValue(t, "name");
+  await name.typeField.expectValue(t, "value");
+  await name.valueField.expectValue(t, "%pageName%");
+  await productListItems.nameField.expectValue(t, "productListItems");
+  await productListItems.typeField.expectValue(t, "array");
+  await sku.nameField.expectValue(t, "SKU");
+  await sku.valueField.expectValue(t, "%sku%");
+});
+
+test("initializes form fields with no settings", async t => {
+  await extensionViewController.init(t, {});
+  await extensionViewController.expectIsValid(t);
+  await extensionViewController.expectSettings(t, {
+    xdm: {}
+  });
+});
+
+test("returns valid settings containing nested objects and arrays", async t => {
+  await extensionViewController.init(t, {});
+
+  const web = getNodeFields("xdm.children.0");
+  const webPageDetails = getNodeFields("xdm.children.0.children.0");
+  const name = getNodeFields("xdm.children.0.children.0.children.0");
+  const productListItems = getNodeFields("xdm.children.1");
+  const item = getNodeFields("xdm.children.1.children.0");
+  const sku = getNodeFields("xdm.children.1.children.0.children.0");
+
+  await rootAddButton.click(t);
+  await web.nameField.typeText(t, "web");
+  await web.typeField.selectOption(t, "Object");
+  await web.addButton.click(t);
+  await webPageDetails.nameField.typeText(t, "webPageDetails");
+  await webPageDetails.typeField.selectOption(t, "Object");
+  await webPageDetails.addButton.click(t);
+  await name.nameField.typeText(t, "name");
+  await name.valueField.typeText(t, "%pageName%");
+
+  await rootAddButton.click(t);
+  await productListItems.nameField.typeText(t, "productListItems");
+  await productListItems.typeField.selectOption(t, "Array");
+  await productListItems.addButton.click(t);
+  await item.typeField.selectOption(t, "Object");
+  await item.addButton.click(t);
+  await sku.nameField.typeText(t, "SKU");
+  await sku.valueField.typeText(t, "%sku%");
+
+  await extensionViewController.expectIsValid(t);
+  await extensionViewController.expectSettings(t, {
+    xdm: {
+      web: {
+        webPageDetails: {
+          name: "%pageName%"
+        }
+      },
+      productListItems: [
+        {
+          SKU: "%sku%"
+        }
+      ]
+    }
+  });
+});
+
+test("initializes value types from settings", async t => {
+  await extensionViewController.init(t, {
+    settings: {
+      xdm: {
+        name: "home",
+        quantity: 2,
+        isMember: false
+      }
+    }
+  });
+
+  const name = getNodeFields("xdm.children.0");
+  const quantity = getNodeFields("xdm.children.1");
+  const isMember = getNodeFields("xdm.children.2");
+
+  await name.valueTypeField.expectValue(t, "string");
+  await quantity.valueTypeField.expectValue(t, "number");
+  await quantity.valueField.expectValue(t, "2");
+  await isMember.valueTypeField.expectValue(t, "boolean");
+  await isMember.valueField.expectValue(t, "false");
+});
+
+test("returns literals converted to their value types", async t => {
+  await extensionViewController.init(t, {});
+
+  const quantity = getNodeFields("xdm.children.0");
+  const isMember = getNodeFields("xdm.children.1");
+  const priceTotal = getNodeFields("xdm.children.2");
+
+  await rootAddButton.click(t);
+  await quantity.nameField.typeText(t, "quantity");
+  await quantity.valueTypeField.selectOption(t, "Number");
+  await quantity.valueField.typeText(t, "2.5");
+  await rootAddButton.click(t);
+  await isMember.nameField.typeText(t, "isMember");
+  await isMember.valueTypeField.selectOption(t, "Boolean");
+  await isMember.valueField.typeText(t, "true");
+  await rootAddButton.click(t);
+  await priceTotal.nameField.typeText(t, "priceTotal");
+  await priceTotal.valueTypeField.selectOption(t, "Number");
+  await priceTotal.valueField.typeText(t, "%priceTotal%");
+
+  await extensionViewController.expectIsValid(t);
+  await extensionViewController.expectSettings(t, {
+    xdm: {
+      quantity: 2.5,
+      isMember: true,
+      priceTotal: "%priceTotal%"
+    }
+  });
+});
+
+test("shows error for a number value that is not a number", async t => {
+  await extensionViewController.init(t, {});
+
+  const property = getNodeFields("xdm.children.0");
+
+  await rootAddButton.click(t);
+  await property.nameField.typeText(t, "quantity");
+  await property.valueTypeField.selectOption(t, "Number");
+  await property.valueField.typeText(t, "two");
+  await extensionViewController.expectIsNotValid(t);
+  await property.valueField.expectError(t);
+});
+
+test("shows error for a boolean value that is not a boolean", async t => {
+  await extensionViewController.init(t, {});
+
+  const property = getNodeFields("xdm.children.0");
+
+  await rootAddButton.click(t);
+  await property.nameField.typeText(t, "isMember");
+  await property.valueTypeField.selectOption(t, "Boolean");
+  await property.valueField.typeText(t, "yes");
+  await extensionViewController.expectIsNotValid(t);
+  await property.valueField.expectError(t);
+});
+
+test("deletes a property", async t => {
+  await extensionViewController.init(t, {
+    settings: {
+      xdm: {
+        foo: "bar",
+        baz: "qux"
+      }
+    }
+  });
+
+  await getNodeFields("xdm.children.0").deleteButton.click(t);
+  await extensionViewController.expectIsValid(t);
+  await extensionViewController.expectSettings(t, {
+    xdm: {
+      baz: "qux"
+    }
+  });
+});
+
+test("shows error for missing property name", async t => {
+  await extensionViewController.init(t, {});
+
+  const property = getNodeFields("xdm.children.0");
+
+  await rootAddButton.click(t);
+  await property.valueField.typeText(t, "bar");
+  await extensionViewController.expectIsNotValid(t);
+  await property.nameField.expectError(t);
+});
+
+test("shows error for duplicate property name", async t => {
+  await extensionViewController.init(t, {
+    settings: {
+      xdm: {
+        foo: "bar"
+      }
+    }
+  });
+
+  const property = getNodeFields("xdm.children.1");
+
+  await rootAddButton.click(t);
+  await property.nameField.typeText(t, "foo");
+  await extensionViewController.expectIsNotValid(t);
+  await property.nameField.expectError(t);
+});
@@ -88,6 +88,11 @@ const createExpectNotExists = selector => async t => {
   await t.expect(selector.exists).notOk();
 };
 
+const createExpectTextContains = selector => async (t, text) => {
+  await switchToIframe(t);
+  await t.expect(selector.innerText).contains(text);
+};
+
 const createExpectEnabled = selector => async t => {
   await switchToIframe(t);
   await t.expect(selector.hasAttribute("disabled")).notOk();
@@ -208,7 +213,14 @@ const componentWrappers = {
       async expectTitle(t, title) {
         await switchToIframe(t);
         await selector.find(".spectrum-Alert-header").withText(title);
-      }
+      },
+      expectTextContains: createExpectTextContains(selector)
+    };
+  },
+  // A note is informational text shown alongside a field.
+  note(selector) {
+    return {
+      expectTextContains: createExpectTextContains(selector)
     };
   }
 };
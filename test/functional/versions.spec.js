@@ -0,0 +1,37 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import fs from "fs";
+import path from "path";
+import extensionVersion from "../../src/lib/constants/extensionVersion";
+import alloyVersion from "../../src/view/constants/alloyVersion";
+
+// The versions are copied into constants because the library and views
+// can't read them at runtime. These tests fail when a copy has drifted.
+const rootDir = path.join(__dirname, "../..");
+const readFile = filePath =>
+  fs.readFileSync(path.join(rootDir, filePath), "utf8");
+
+fixture("Versions");
+
+test("extension version matches extension.json", async t => {
+  const { version } = JSON.parse(readFile("extension.json"));
+  await t.expect(extensionVersion).eql(version);
+});
+
+test("Alloy version matches the Alloy library bundled in runAlloy.js", async t => {
+  const matches = readFile("src/lib/runAlloy.js").match(
+    /var libraryVersion = "([^"]+)";/
+  );
+  await t.expect(matches).ok("The Alloy library version was not found.");
+  await t.expect(alloyVersion).eql(matches[1]);
+});
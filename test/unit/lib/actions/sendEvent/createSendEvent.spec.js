@@ -18,7 +18,8 @@ describe("Send Event", () => {
 
   beforeEach(() => {
     mockLogger = {
-      error: jasmine.createSpy()
+      error: jasmine.createSpy(),
+      warn: jasmine.createSpy()
     };
     turbineVariable.mock({
       logger: mockLogger
@@ -30,7 +31,7 @@ describe("Send Event", () => {
   });
 
   it("executes event command", () => {
-    const instance = jasmine.createSpy();
+    const instance = jasmine.createSpy().and.returnValue(Promise.resolve());
     const instanceManager = {
       getAccessor: jasmine.createSpy().and.returnValue({
         instance
@@ -41,20 +42,131 @@ describe("Send Event", () => {
     action({
       instanceName: "myinstance",
       viewStart: true,
+      documentUnloading: true,
       xdm: {
         foo: "bar"
+      },
+      data: {
+        baz: "qux"
       }
     });
 
     expect(instanceManager.getAccessor).toHaveBeenCalledWith("myinstance");
     expect(instance).toHaveBeenCalledWith("event", {
       viewStart: true,
+      documentUnloading: true,
       xdm: {
         foo: "bar"
+      },
+      data: {
+        baz: "qux"
       }
     });
   });
 
+  it("notifies edge response listeners of the response", done => {
+    const response = {
+      handle: []
+    };
+    const accessor = {
+      instance: jasmine.createSpy().and.returnValue(Promise.resolve(response)),
+      notifyEdgeResponseListeners: jasmine.createSpy()
+    };
+    const instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue(accessor)
+    };
+    const action = createSendEvent(instanceManager);
+
+    action({
+      instanceName: "myinstance"
+    });
+
+    setTimeout(() => {
+      expect(accessor.notifyEdgeResponseListeners).toHaveBeenCalledWith(
+        response
+      );
+      done();
+    });
+  });
+
+  it("does not notify edge response listeners when there is no response", done => {
+    const accessor = {
+      instance: jasmine.createSpy().and.returnValue(Promise.resolve()),
+      notifyEdgeResponseListeners: jasmine.createSpy()
+    };
+    const instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue(accessor)
+    };
+    const action = createSendEvent(instanceManager);
+
+    action({
+      instanceName: "myinstance",
+      documentUnloading: true
+    });
+
+    setTimeout(() => {
+      expect(accessor.notifyEdgeResponseListeners).not.toHaveBeenCalled();
+      done();
+    });
+  });
+
+  it("returns a promise that resolves once the event is sent", done => {
+    const instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue({
+        instance: jasmine.createSpy().and.returnValue(Promise.resolve()),
+        notifyEdgeResponseListeners: jasmine.createSpy()
+      })
+    };
+    const action = createSendEvent(instanceManager);
+
+    action({
+      instanceName: "myinstance"
+    }).then(done);
+  });
+
+  it("does not pass the timeout to the event command", () => {
+    const instance = jasmine.createSpy().and.returnValue(Promise.resolve());
+    const instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue({
+        instance
+      })
+    };
+    const action = createSendEvent(instanceManager);
+
+    action({
+      instanceName: "myinstance",
+      timeout: 1000,
+      xdm: {
+        foo: "bar"
+      }
+    });
+
+    expect(instance).toHaveBeenCalledWith("event", {
+      xdm: {
+        foo: "bar"
+      }
+    });
+  });
+
+  it("resolves and logs a warning when the event is not sent within the timeout", done => {
+    const instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue({
+        instance: jasmine.createSpy().and.returnValue(new Promise(() => {}))
+      })
+    };
+    const action = createSendEvent(instanceManager);
+
+    action({
+      instanceName: "myinstance",
+      timeout: 10
+    }).then(() => {
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        'Sending event for instance "myinstance" did not complete within 10 ms. Continuing with the rule.'
+      );
+      done();
+    });
+  });
+
   it("logs an error when no matching instance found", () => {
     const instanceManager = {
       getAccessor() {
@@ -0,0 +1,35 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import createCustomerIdsFingerprintStore from "../../../../../src/lib/actions/setCustomerIds/createCustomerIdsFingerprintStore";
+
+describe("createCustomerIdsFingerprintStore", () => {
+  it("returns undefined when no fingerprint is stored for the instance", () => {
+    const fingerprintStore = createCustomerIdsFingerprintStore();
+    expect(fingerprintStore.get("alloy1")).toBeUndefined();
+  });
+
+  it("stores fingerprints per instance", () => {
+    const fingerprintStore = createCustomerIdsFingerprintStore();
+    fingerprintStore.set("alloy1", "fingerprint1");
+
+    expect(fingerprintStore.get("alloy1")).toBe("fingerprint1");
+    expect(fingerprintStore.get("alloy2")).toBeUndefined();
+  });
+
+  it("does not share fingerprints between stores", () => {
+    const fingerprintStore = createCustomerIdsFingerprintStore();
+    fingerprintStore.set("alloy1", "fingerprint1");
+
+    expect(createCustomerIdsFingerprintStore().get("alloy1")).toBeUndefined();
+  });
+});
@@ -11,15 +11,35 @@ governing permissions and limitations under the License.
 */
 
 import createSetCustomerIds from "../../../../../src/lib/actions/setCustomerIds/createSetCustomerIds";
+import createCustomerIdsFingerprintStore from "../../../../../src/lib/actions/setCustomerIds/createCustomerIdsFingerprintStore";
 import turbineVariable from "../../../helpers/turbineVariable";
 
+const crmCustomerIds = [
+  {
+    namespace: "CRM_ID",
+    id: "wvg",
+    authenticatedState: "loggedOut",
+    primary: false,
+    hashEnabled: false
+  }
+];
+
 describe("Set Customer IDs", () => {
   let mockLogger;
+  let fingerprintStore;
+  let getCustomerIdsFingerprint;
 
   beforeEach(() => {
     mockLogger = {
-      error: jasmine.createSpy()
+      error: jasmine.createSpy(),
+      warn: jasmine.createSpy(),
+      info: jasmine.createSpy(),
+      debug: jasmine.createSpy()
     };
+    fingerprintStore = jasmine.createSpyObj("fingerprintStore", ["get", "set"]);
+    getCustomerIdsFingerprint = jasmine
+      .createSpy()
+      .and.returnValue(Promise.resolve("fingerprint1"));
     turbineVariable.mock({
       logger: mockLogger
     });
@@ -30,15 +50,19 @@ describe("Set Customer IDs", () => {
   });
 
   it("executes setCustomerIds command", () => {
-    const instance = jasmine.createSpy();
+    const instance = jasmine.createSpy().and.returnValue(Promise.resolve());
     const instanceManager = {
       getAccessor: jasmine.createSpy().and.returnValue({
         instance
       })
     };
-    const action = createSetCustomerIds(instanceManager);
+    const action = createSetCustomerIds(
+      instanceManager,
+      fingerprintStore,
+      getCustomerIdsFingerprint
+    );
 
-    action({
+    return action({
       instanceName: "instance1",
       customerIds: [
         {
@@ -49,17 +73,721 @@ describe("Set Customer IDs", () => {
           hash: true
         }
       ]
+    }).then(() => {
+      expect(instanceManager.getAccessor).toHaveBeenCalledWith("instance1");
+      expect(instance).toHaveBeenCalledWith("setCustomerIds", {
+        ECID: {
+          namespace: "ECID",
+          id: "wvg",
+          authenticatedState: "loggedOut",
+          primary: false,
+          hash: true
+        }
+      });
+    });
+  });
+
+  it("executes setCustomerIds command with customer IDs from an object", () => {
+    const instance = jasmine.createSpy().and.returnValue(Promise.resolve());
+    const instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue({
+        instance
+      })
+    };
+    const action = createSetCustomerIds(
+      instanceManager,
+      fingerprintStore,
+      getCustomerIdsFingerprint
+    );
+
+    return action({
+      instanceName: "instance1",
+      customerIds: {
+        CRM_ID: {
+          id: 123,
+          authenticatedState: "LOGGEDOUT",
+          primary: "true",
+          hashEnabled: true
+        },
+        Email: {
+          id: "me@example.com"
+        }
+      }
+    }).then(() => {
+      expect(instance).toHaveBeenCalledWith("setCustomerIds", {
+        CRM_ID: {
+          namespace: "CRM_ID",
+          id: "123",
+          authenticatedState: "loggedOut",
+          primary: true,
+          hashEnabled: true
+        },
+        Email: {
+          namespace: "Email",
+          id: "me@example.com",
+          authenticatedState: "ambiguous",
+          primary: false,
+          hashEnabled: false
+        }
+      });
+      expect(mockLogger.warn).not.toHaveBeenCalled();
+    });
+  });
+
+  it("rejects and logs invalid customer IDs from an object", () => {
+    const instance = jasmine.createSpy().and.returnValue(Promise.resolve());
+    const instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue({
+        instance
+      })
+    };
+    const action = createSetCustomerIds(
+      instanceManager,
+      fingerprintStore,
+      getCustomerIdsFingerprint
+    );
+
+    return action({
+      instanceName: "instance1",
+      customerIds: {
+        CRM_ID: {
+          id: "123",
+          primary: true
+        },
+        ECID: {
+          id: "456"
+        },
+        Email: "me@example.com",
+        Phone: {
+          id: true
+        },
+        Loyalty: {
+          id: "789",
+          authenticatedState: "unknown"
+        },
+        AAID: {
+          id: "abc",
+          primary: true
+        }
+      }
+    }).then(() => {
+      expect(instance).toHaveBeenCalledWith("setCustomerIds", {
+        CRM_ID: {
+          namespace: "CRM_ID",
+          id: "123",
+          authenticatedState: "ambiguous",
+          primary: true,
+          hashEnabled: false
+        }
+      });
+      expect(mockLogger.warn.calls.allArgs()).toEqual([
+        [
+          'The customer ID for namespace "ECID" was rejected. ECID is not allowed.'
+        ],
+        [
+          'The customer ID for namespace "Email" was rejected. It must be an object.'
+        ],
+        [
+          'The customer ID for namespace "Phone" was rejected. Its ID must be a string or a number.'
+        ],
+        [
+          'The customer ID for namespace "Loyalty" was rejected. The authenticated state must be one of ambiguous, authenticated, loggedOut.'
+        ],
+        [
+          'The customer ID for namespace "AAID" was rejected. Only one namespace can be primary and "CRM_ID" already is.'
+        ]
+      ]);
+    });
+  });
+
+  it("does not execute setCustomerIds command when the object has no valid customer IDs", () => {
+    const instance = jasmine.createSpy();
+    const instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue({
+        instance
+      })
+    };
+    const action = createSetCustomerIds(
+      instanceManager,
+      fingerprintStore,
+      getCustomerIdsFingerprint
+    );
+
+    const result = action({
+      instanceName: "instance1",
+      customerIds: {
+        ECID: {
+          id: "456"
+        }
+      }
+    });
+
+    expect(result).toBeUndefined();
+    expect(instance).not.toHaveBeenCalled();
+    expect(mockLogger.debug).toHaveBeenCalledWith(
+      'No customer IDs with an ID were provided for instance "instance1". Customer IDs will not be set.'
+    );
+  });
+
+  it("removes customer IDs whose ID is empty", () => {
+    const instance = jasmine.createSpy().and.returnValue(Promise.resolve());
+    const instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue({
+        instance
+      })
+    };
+    const action = createSetCustomerIds(
+      instanceManager,
+      fingerprintStore,
+      getCustomerIdsFingerprint
+    );
+
+    return action({
+      instanceName: "instance1",
+      customerIds: [
+        ...crmCustomerIds,
+        {
+          namespace: "Email",
+          id: "",
+          authenticatedState: "loggedOut",
+          primary: false,
+          hashEnabled: true
+        },
+        {
+          namespace: "Phone",
+          authenticatedState: "loggedOut",
+          primary: false,
+          hashEnabled: true
+        }
+      ]
+    }).then(() => {
+      expect(instance).toHaveBeenCalledWith("setCustomerIds", {
+        CRM_ID: crmCustomerIds[0]
+      });
+      expect(mockLogger.debug.calls.allArgs()).toEqual([
+        [
+          'The customer ID for namespace "Email" was removed because its ID is empty.'
+        ],
+        [
+          'The customer ID for namespace "Phone" was removed because its ID is empty.'
+        ]
+      ]);
+      expect(mockLogger.warn).not.toHaveBeenCalled();
+    });
+  });
+
+  it("removes customer IDs from an object whose ID is empty", () => {
+    const instance = jasmine.createSpy().and.returnValue(Promise.resolve());
+    const instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue({
+        instance
+      })
+    };
+    const action = createSetCustomerIds(
+      instanceManager,
+      fingerprintStore,
+      getCustomerIdsFingerprint
+    );
+
+    return action({
+      instanceName: "instance1",
+      customerIds: {
+        CRM_ID: {
+          id: "wvg"
+        },
+        Email: {
+          id: null,
+          primary: true
+        },
+        Phone: undefined
+      }
+    }).then(() => {
+      expect(instance).toHaveBeenCalledWith("setCustomerIds", {
+        CRM_ID: {
+          namespace: "CRM_ID",
+          id: "wvg",
+          authenticatedState: "ambiguous",
+          primary: false,
+          hashEnabled: false
+        }
+      });
+      expect(mockLogger.debug.calls.allArgs()).toEqual([
+        [
+          'The customer ID for namespace "Email" was removed because its ID is empty.'
+        ],
+        [
+          'The customer ID for namespace "Phone" was removed because its ID is empty.'
+        ]
+      ]);
+      expect(mockLogger.warn).not.toHaveBeenCalled();
+    });
+  });
+
+  it("does not execute setCustomerIds command when every ID is empty", () => {
+    const instance = jasmine.createSpy();
+    const instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue({
+        instance
+      })
+    };
+    const action = createSetCustomerIds(
+      instanceManager,
+      fingerprintStore,
+      getCustomerIdsFingerprint
+    );
+
+    const result = action({
+      instanceName: "instance1",
+      customerIds: [
+        {
+          namespace: "CRM_ID",
+          id: "",
+          authenticatedState: "loggedOut",
+          primary: false,
+          hashEnabled: false
+        }
+      ]
+    });
+
+    expect(result).toBeUndefined();
+    expect(instance).not.toHaveBeenCalled();
+    expect(getCustomerIdsFingerprint).not.toHaveBeenCalled();
+    expect(mockLogger.debug).toHaveBeenCalledWith(
+      'No customer IDs with an ID were provided for instance "instance1". Customer IDs will not be set.'
+    );
+  });
+
+  it("normalizes IDs that will be hashed", () => {
+    const instance = jasmine.createSpy().and.returnValue(Promise.resolve());
+    const instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue({
+        instance
+      })
+    };
+    const action = createSetCustomerIds(
+      instanceManager,
+      fingerprintStore,
+      getCustomerIdsFingerprint
+    );
+
+    return action({
+      instanceName: "instance1",
+      customerIds: [
+        {
+          namespace: "Email",
+          id: "John.Doe+news@gmail.com",
+          authenticatedState: "authenticated",
+          primary: false,
+          hashEnabled: true,
+          normalization: "email"
+        },
+        {
+          namespace: "Phone",
+          id: "020 7946 0958",
+          authenticatedState: "authenticated",
+          primary: false,
+          hashEnabled: true,
+          normalization: "phone",
+          phoneCountryCode: "44"
+        },
+        {
+          namespace: "Loyalty",
+          id: "AB-123",
+          authenticatedState: "authenticated",
+          primary: false,
+          hashEnabled: false,
+          normalization: "strip"
+        }
+      ]
+    }).then(() => {
+      expect(instance).toHaveBeenCalledWith("setCustomerIds", {
+        Email: {
+          namespace: "Email",
+          id: "johndoe@gmail.com",
+          authenticatedState: "authenticated",
+          primary: false,
+          hashEnabled: true
+        },
+        Phone: {
+          namespace: "Phone",
+          id: "+442079460958",
+          authenticatedState: "authenticated",
+          primary: false,
+          hashEnabled: true
+        },
+        // IDs that won't be hashed aren't normalized.
+        Loyalty: {
+          namespace: "Loyalty",
+          id: "AB-123",
+          authenticatedState: "authenticated",
+          primary: false,
+          hashEnabled: false
+        }
+      });
+    });
+  });
+
+  it("normalizes IDs from an object that will be hashed", () => {
+    const instance = jasmine.createSpy().and.returnValue(Promise.resolve());
+    const instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue({
+        instance
+      })
+    };
+    const action = createSetCustomerIds(
+      instanceManager,
+      fingerprintStore,
+      getCustomerIdsFingerprint
+    );
+
+    return action({
+      instanceName: "instance1",
+      customerIds: {
+        Phone: {
+          id: "(415) 555-0123",
+          hashEnabled: true,
+          normalization: "phone",
+          phoneCountryCode: 1
+        },
+        Loyalty: {
+          id: "AB-123",
+          hashEnabled: true,
+          normalization: "uppercase"
+        }
+      }
+    }).then(() => {
+      expect(instance).toHaveBeenCalledWith("setCustomerIds", {
+        Phone: {
+          namespace: "Phone",
+          id: "+14155550123",
+          authenticatedState: "ambiguous",
+          primary: false,
+          hashEnabled: true
+        }
+      });
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        'The customer ID for namespace "Loyalty" was rejected. The normalization must be one of email, phone, strip.'
+      );
+    });
+  });
+
+  it("rejects IDs that can't be normalized", () => {
+    const instance = jasmine.createSpy().and.returnValue(Promise.resolve());
+    const instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue({
+        instance
+      })
+    };
+    const action = createSetCustomerIds(
+      instanceManager,
+      fingerprintStore,
+      getCustomerIdsFingerprint
+    );
+
+    return action({
+      instanceName: "instance1",
+      customerIds: [
+        ...crmCustomerIds,
+        {
+          namespace: "Email",
+          id: "john.doe",
+          authenticatedState: "authenticated",
+          primary: false,
+          hashEnabled: true,
+          normalization: "email"
+        }
+      ]
+    }).then(() => {
+      expect(instance).toHaveBeenCalledWith("setCustomerIds", {
+        CRM_ID: crmCustomerIds[0]
+      });
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        'The customer ID for namespace "Email" was rejected. It could not be normalized using the "email" normalization.'
+      );
+    });
+  });
+
+  [undefined, null, ""].forEach(customerIds => {
+    it(`does not execute setCustomerIds command or log an error when the data element returns ${JSON.stringify(
+      customerIds
+    )}`, () => {
+      const instance = jasmine.createSpy();
+      const instanceManager = {
+        getAccessor: jasmine.createSpy().and.returnValue({
+          instance
+        })
+      };
+      const action = createSetCustomerIds(
+        instanceManager,
+        fingerprintStore,
+        getCustomerIdsFingerprint
+      );
+
+      const result = action({
+        instanceName: "instance1",
+        customerIds
+      });
+
+      expect(result).toBeUndefined();
+      expect(instance).not.toHaveBeenCalled();
+      expect(mockLogger.error).not.toHaveBeenCalled();
+      expect(mockLogger.debug).toHaveBeenCalledWith(
+        'No customer IDs with an ID were provided for instance "instance1". Customer IDs will not be set.'
+      );
     });
+  });
 
-    expect(instanceManager.getAccessor).toHaveBeenCalledWith("instance1");
-    expect(instance).toHaveBeenCalledWith("setCustomerIds", {
-      ECID: {
-        namespace: "ECID",
+  it("logs an error when the data element does not return an object", () => {
+    const instance = jasmine.createSpy();
+    const instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue({
+        instance
+      })
+    };
+    const action = createSetCustomerIds(
+      instanceManager,
+      fingerprintStore,
+      getCustomerIdsFingerprint
+    );
+
+    action({
+      instanceName: "instance1",
+      customerIds: "CRM_ID"
+    });
+
+    expect(instance).not.toHaveBeenCalled();
+    expect(mockLogger.error).toHaveBeenCalledWith(
+      "The customer IDs data element must return an object keyed by namespace."
+    );
+  });
+
+  it("returns a promise resolved with the result of the setCustomerIds command", () => {
+    const instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue({
+        instance: jasmine.createSpy().and.returnValue(Promise.resolve("foo"))
+      })
+    };
+    const action = createSetCustomerIds(
+      instanceManager,
+      fingerprintStore,
+      getCustomerIdsFingerprint
+    );
+
+    return action({
+      instanceName: "instance1",
+      customerIds: crmCustomerIds
+    }).then(result => {
+      expect(result).toBe("foo");
+    });
+  });
+
+  it("stores the fingerprint of the customer IDs when they are set", () => {
+    const instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue({
+        instance: jasmine.createSpy().and.returnValue(Promise.resolve())
+      })
+    };
+    const action = createSetCustomerIds(
+      instanceManager,
+      fingerprintStore,
+      getCustomerIdsFingerprint
+    );
+    const customerIds = [
+      {
+        namespace: "CRM_ID",
         id: "wvg",
         authenticatedState: "loggedOut",
         primary: false,
-        hash: true
+        hashEnabled: false
       }
+    ];
+
+    return action({
+      instanceName: "instance1",
+      customerIds
+    }).then(() => {
+      expect(getCustomerIdsFingerprint).toHaveBeenCalledWith({
+        CRM_ID: customerIds[0]
+      });
+      expect(fingerprintStore.set).toHaveBeenCalledWith(
+        "instance1",
+        "fingerprint1"
+      );
+    });
+  });
+
+  it("restores the previous fingerprint when setting customer IDs fails", () => {
+    const instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue({
+        instance: jasmine
+          .createSpy()
+          .and.returnValue(Promise.reject(new Error("Request failed.")))
+      })
+    };
+    const realFingerprintStore = createCustomerIdsFingerprintStore();
+    realFingerprintStore.set("instance1", "fingerprint0");
+    const action = createSetCustomerIds(
+      instanceManager,
+      realFingerprintStore,
+      getCustomerIdsFingerprint
+    );
+
+    return action({
+      instanceName: "instance1",
+      customerIds: crmCustomerIds
+    }).then(fail, error => {
+      expect(error.message).toBe("Request failed.");
+      expect(realFingerprintStore.get("instance1")).toBe("fingerprint0");
+    });
+  });
+
+  it("executes setCustomerIds command once when actions run at the same time", () => {
+    const instance = jasmine.createSpy().and.returnValue(Promise.resolve());
+    const instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue({
+        instance
+      })
+    };
+    const action = createSetCustomerIds(
+      instanceManager,
+      createCustomerIdsFingerprintStore(),
+      getCustomerIdsFingerprint
+    );
+
+    return Promise.all([
+      action({
+        instanceName: "instance1",
+        customerIds: crmCustomerIds
+      }),
+      action({
+        instanceName: "instance1",
+        customerIds: crmCustomerIds
+      })
+    ]).then(() => {
+      expect(instance).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it("skips setCustomerIds command when the customer IDs have not changed", () => {
+    const instance = jasmine.createSpy().and.returnValue(Promise.resolve());
+    const instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue({
+        instance
+      })
+    };
+    fingerprintStore.get.and.returnValue("fingerprint1");
+    const action = createSetCustomerIds(
+      instanceManager,
+      fingerprintStore,
+      getCustomerIdsFingerprint
+    );
+
+    return action({
+      instanceName: "instance1",
+      customerIds: crmCustomerIds
+    }).then(result => {
+      expect(result).toBeUndefined();
+      expect(fingerprintStore.get).toHaveBeenCalledWith("instance1");
+      expect(instance).not.toHaveBeenCalled();
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        'Customer IDs for instance "instance1" have not changed since they were last set. Skipping.'
+      );
+    });
+  });
+
+  it("executes setCustomerIds command when the customer IDs have changed", () => {
+    const instance = jasmine.createSpy().and.returnValue(Promise.resolve());
+    const instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue({
+        instance
+      })
+    };
+    fingerprintStore.get.and.returnValue("fingerprint0");
+    const action = createSetCustomerIds(
+      instanceManager,
+      fingerprintStore,
+      getCustomerIdsFingerprint
+    );
+
+    return action({
+      instanceName: "instance1",
+      customerIds: crmCustomerIds
+    }).then(() => {
+      expect(instance).toHaveBeenCalled();
+      expect(fingerprintStore.set).toHaveBeenCalledWith(
+        "instance1",
+        "fingerprint1"
+      );
+    });
+  });
+
+  it("executes setCustomerIds command when forced to even if the customer IDs have not changed", () => {
+    const instance = jasmine.createSpy().and.returnValue(Promise.resolve());
+    const instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue({
+        instance
+      })
+    };
+    fingerprintStore.get.and.returnValue("fingerprint1");
+    const action = createSetCustomerIds(
+      instanceManager,
+      fingerprintStore,
+      getCustomerIdsFingerprint
+    );
+
+    return action({
+      instanceName: "instance1",
+      customerIds: crmCustomerIds,
+      forceSync: true
+    }).then(() => {
+      expect(instance).toHaveBeenCalled();
+    });
+  });
+
+  it("executes setCustomerIds command when a fingerprint can't be created", () => {
+    const instance = jasmine.createSpy().and.returnValue(Promise.resolve());
+    const instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue({
+        instance
+      })
+    };
+    getCustomerIdsFingerprint.and.returnValue(Promise.resolve());
+    const action = createSetCustomerIds(
+      instanceManager,
+      fingerprintStore,
+      getCustomerIdsFingerprint
+    );
+
+    return action({
+      instanceName: "instance1",
+      customerIds: crmCustomerIds
+    }).then(() => {
+      expect(instance).toHaveBeenCalled();
+      expect(fingerprintStore.set).not.toHaveBeenCalled();
+    });
+  });
+
+  it("resolves and logs a warning when customer IDs are not set within the timeout", done => {
+    const instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue({
+        instance: jasmine.createSpy().and.returnValue(new Promise(() => {}))
+      })
+    };
+    const action = createSetCustomerIds(
+      instanceManager,
+      fingerprintStore,
+      getCustomerIdsFingerprint
+    );
+
+    action({
+      instanceName: "instance1",
+      customerIds: crmCustomerIds,
+      timeout: 10
+    }).then(() => {
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        'Setting customer IDs for instance "instance1" did not complete within 10 ms. Continuing with the rule.'
+      );
+      done();
     });
   });
 
@@ -69,7 +797,11 @@ describe("Set Customer IDs", () => {
         return undefined;
       }
     };
-    const action = createSetCustomerIds(instanceManager);
+    const action = createSetCustomerIds(
+      instanceManager,
+      fingerprintStore,
+      getCustomerIdsFingerprint
+    );
 
     action({
       instanceName: "instance1",
@@ -0,0 +1,89 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import getCustomerIdsFingerprint from "../../../../../src/lib/actions/setCustomerIds/getCustomerIdsFingerprint";
+
+describe("getCustomerIdsFingerprint", () => {
+  const customerIdsConfig = {
+    CRM_ID: {
+      namespace: "CRM_ID",
+      id: "wvg",
+      authenticatedState: "loggedOut",
+      primary: true,
+      hashEnabled: false
+    },
+    Email: {
+      namespace: "Email",
+      id: "me@example.com",
+      authenticatedState: "authenticated"
+    }
+  };
+
+  it("resolves with a hash that doesn't contain the customer IDs", () => {
+    return getCustomerIdsFingerprint(window, customerIdsConfig).then(
+      fingerprint => {
+        expect(fingerprint).toMatch(/^[0-9a-f]{64}$/);
+      }
+    );
+  });
+
+  it("resolves with the same fingerprint regardless of namespace order", () => {
+    return Promise.all([
+      getCustomerIdsFingerprint(window, customerIdsConfig),
+      getCustomerIdsFingerprint(window, {
+        Email: customerIdsConfig.Email,
+        CRM_ID: customerIdsConfig.CRM_ID
+      })
+    ]).then(([fingerprint1, fingerprint2]) => {
+      expect(fingerprint1).toBe(fingerprint2);
+    });
+  });
+
+  it("resolves with a different fingerprint when customer IDs change", () => {
+    return Promise.all([
+      getCustomerIdsFingerprint(window, customerIdsConfig),
+      getCustomerIdsFingerprint(window, {
+        ...customerIdsConfig,
+        Email: {
+          ...customerIdsConfig.Email,
+          authenticatedState: "loggedOut"
+        }
+      })
+    ]).then(([fingerprint1, fingerprint2]) => {
+      expect(fingerprint1).not.toBe(fingerprint2);
+    });
+  });
+
+  it("resolves with undefined when hashing isn't supported", () => {
+    return getCustomerIdsFingerprint({}, customerIdsConfig).then(
+      fingerprint => {
+        expect(fingerprint).toBeUndefined();
+      }
+    );
+  });
+
+  it("resolves with undefined when hashing fails", () => {
+    const mockWindow = {
+      crypto: {
+        subtle: {
+          digest: () => Promise.reject(new Error("Hashing failed."))
+        }
+      }
+    };
+
+    return getCustomerIdsFingerprint(mockWindow, customerIdsConfig).then(
+      fingerprint => {
+        expect(fingerprint).toBeUndefined();
+      }
+    );
+  });
+});
@@ -0,0 +1,96 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import createSetDebugMode from "../../../../../src/lib/actions/setDebugMode/createSetDebugMode";
+import turbineVariable from "../../../helpers/turbineVariable";
+
+describe("Set Debug Mode", () => {
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = {
+      error: jasmine.createSpy()
+    };
+    turbineVariable.mock({
+      logger: mockLogger
+    });
+  });
+
+  afterEach(() => {
+    turbineVariable.reset();
+  });
+
+  [
+    [true, true],
+    [false, false],
+    ["true", true],
+    ["false", false],
+    [undefined, false]
+  ].forEach(([enabled, expectedEnabled]) => {
+    it(`executes debug command for enabled value "${enabled}"`, () => {
+      const instance = jasmine.createSpy().and.returnValue(Promise.resolve());
+      const instanceManager = {
+        getAccessor: jasmine.createSpy().and.returnValue({
+          instance
+        })
+      };
+      const action = createSetDebugMode(instanceManager);
+
+      action({
+        instanceName: "myinstance",
+        enabled
+      });
+
+      expect(instanceManager.getAccessor).toHaveBeenCalledWith("myinstance");
+      expect(instance).toHaveBeenCalledWith("debug", {
+        enabled: expectedEnabled
+      });
+    });
+  });
+
+  it("executes debug command for all instances when no instance name is provided", done => {
+    const instance1 = jasmine.createSpy().and.returnValue(Promise.resolve());
+    const instance2 = jasmine.createSpy().and.returnValue(Promise.resolve());
+    const instanceManager = {
+      getAccessors: jasmine
+        .createSpy()
+        .and.returnValue([{ instance: instance1 }, { instance: instance2 }])
+    };
+    const action = createSetDebugMode(instanceManager);
+
+    action({
+      enabled: true
+    }).then(() => {
+      expect(instance1).toHaveBeenCalledWith("debug", { enabled: true });
+      expect(instance2).toHaveBeenCalledWith("debug", { enabled: true });
+      done();
+    });
+  });
+
+  it("logs an error when no matching instance found", () => {
+    const instanceManager = {
+      getAccessor() {
+        return undefined;
+      }
+    };
+    const action = createSetDebugMode(instanceManager);
+
+    action({
+      instanceName: "myinstance",
+      enabled: true
+    });
+
+    expect(mockLogger.error).toHaveBeenCalledWith(
+      'Failed to set debug mode for instance "myinstance". No matching instance was configured with this name.'
+    );
+  });
+});
@@ -65,7 +65,7 @@ describe("Set Opt-In Preferences", () => {
     });
 
     expect(mockLogger.error).toHaveBeenCalledWith(
-      'Failed to send event for instance "myinstance". No matching instance was configured with this name.'
+      'Failed to set opt-in preferences for instance "myinstance". No matching instance was configured with this name.'
     );
   });
 });
@@ -0,0 +1,111 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import createSetOptOutPreferences from "../../../../../src/lib/actions/setOptOutPreferences/createSetOptOutPreferences";
+import turbineVariable from "../../../helpers/turbineVariable";
+
+describe("Set Opt-Out Preferences", () => {
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = {
+      error: jasmine.createSpy(),
+      warn: jasmine.createSpy()
+    };
+    turbineVariable.mock({
+      logger: mockLogger
+    });
+  });
+
+  afterEach(() => {
+    turbineVariable.reset();
+  });
+
+  it("executes optOut command", () => {
+    const instance = jasmine.createSpy().and.returnValue(Promise.resolve());
+    const instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue({
+        instance
+      })
+    };
+    const action = createSetOptOutPreferences(instanceManager);
+
+    action({
+      instanceName: "myinstance",
+      purposes: "all"
+    });
+
+    expect(instanceManager.getAccessor).toHaveBeenCalledWith("myinstance");
+    expect(instance).toHaveBeenCalledWith("optOut", {
+      purposes: "all"
+    });
+  });
+
+  it("returns the promise from the optOut command", () => {
+    const promise = Promise.resolve();
+    const instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue({
+        instance: jasmine.createSpy().and.returnValue(promise)
+      })
+    };
+    const action = createSetOptOutPreferences(instanceManager);
+
+    const result = action({
+      instanceName: "myinstance",
+      purposes: "all"
+    });
+
+    expect(result).toBe(promise);
+  });
+
+  it("resolves and logs a warning when preferences are not set within the timeout", done => {
+    const instance = jasmine.createSpy().and.returnValue(new Promise(() => {}));
+    const instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue({
+        instance
+      })
+    };
+    const action = createSetOptOutPreferences(instanceManager);
+
+    action({
+      instanceName: "myinstance",
+      purposes: "all",
+      timeout: 10
+    }).then(() => {
+      expect(instance).toHaveBeenCalledWith("optOut", {
+        purposes: "all"
+      });
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        'Setting opt-out preferences for instance "myinstance" did not complete within 10 ms. Continuing with the rule.'
+      );
+      done();
+    });
+  });
+
+  it("logs an error when no matching instance found", () => {
+    const instanceManager = {
+      getAccessor() {
+        return undefined;
+      }
+    };
+    const action = createSetOptOutPreferences(instanceManager);
+
+    action({
+      instanceName: "myinstance",
+      purposes: "all"
+    });
+
+    expect(mockLogger.error).toHaveBeenCalledWith(
+      'Failed to set opt-out preferences for instance "myinstance". No matching instance was configured with this name.'
+    );
+  });
+});
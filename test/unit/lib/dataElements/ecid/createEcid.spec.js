@@ -18,6 +18,7 @@ describe("ECID", () => {
 
   beforeEach(() => {
     mockLogger = {
+      info: jasmine.createSpy(),
       error: jasmine.createSpy()
     };
     turbineVariable.mock({
@@ -47,6 +48,26 @@ describe("ECID", () => {
     expect(value).toBe("ABC123");
   });
 
+  it("returns undefined and logs a message when ECID is not yet available", () => {
+    const instanceManager = {
+      getAccessor: () => ({
+        getEcid() {
+          return undefined;
+        }
+      })
+    };
+    const dataElement = createEcid(instanceManager);
+
+    const value = dataElement({
+      instanceName: "myinstance"
+    });
+
+    expect(value).toBeUndefined();
+    expect(mockLogger.info).toHaveBeenCalledWith(
+      'The ECID for instance "myinstance" is not yet available.'
+    );
+  });
+
   it("logs an error when no matching instance found", () => {
     const instanceManager = {
       getAccessor: () => undefined
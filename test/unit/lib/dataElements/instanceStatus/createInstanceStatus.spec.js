@@ -0,0 +1,70 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import createInstanceStatus from "../../../../../src/lib/dataElements/instanceStatus/createInstanceStatus";
+import turbineVariable from "../../../helpers/turbineVariable";
+
+describe("Instance Status", () => {
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = {
+      error: jasmine.createSpy()
+    };
+    turbineVariable.mock({
+      logger: mockLogger
+    });
+  });
+
+  afterEach(() => {
+    turbineVariable.reset();
+  });
+
+  it("returns the status of the instance", () => {
+    const instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue({
+        getStatus() {
+          return {
+            status: "failed",
+            reason: "Invalid configuration."
+          };
+        }
+      })
+    };
+    const dataElement = createInstanceStatus(instanceManager);
+
+    const value = dataElement({
+      instanceName: "myinstance"
+    });
+
+    expect(instanceManager.getAccessor).toHaveBeenCalledWith("myinstance");
+    expect(value).toEqual({
+      status: "failed",
+      reason: "Invalid configuration."
+    });
+  });
+
+  it("logs an error when no matching instance found", () => {
+    const instanceManager = {
+      getAccessor: () => undefined
+    };
+    const dataElement = createInstanceStatus(instanceManager);
+
+    dataElement({
+      instanceName: "myinstance"
+    });
+
+    expect(mockLogger.error).toHaveBeenCalledWith(
+      'Failed to retrieve status for instance "myinstance". No matching instance was configured with this name.'
+    );
+  });
+});
@@ -0,0 +1,69 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import createLibraryInfo from "../../../../../src/lib/dataElements/libraryInfo/createLibraryInfo";
+import turbineVariable from "../../../helpers/turbineVariable";
+
+describe("Library Info", () => {
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = {
+      error: jasmine.createSpy()
+    };
+    turbineVariable.mock({
+      logger: mockLogger
+    });
+  });
+
+  afterEach(() => {
+    turbineVariable.reset();
+  });
+
+  it("returns Alloy and extension versions", () => {
+    const instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue({
+        getLibraryInfo() {
+          return {
+            version: "1.2.3"
+          };
+        }
+      })
+    };
+    const dataElement = createLibraryInfo(instanceManager, "4.5.6");
+
+    const value = dataElement({
+      instanceName: "myinstance"
+    });
+
+    expect(instanceManager.getAccessor).toHaveBeenCalledWith("myinstance");
+    expect(value).toEqual({
+      alloyVersion: "1.2.3",
+      extensionVersion: "4.5.6"
+    });
+  });
+
+  it("logs an error when no matching instance found", () => {
+    const instanceManager = {
+      getAccessor: () => undefined
+    };
+    const dataElement = createLibraryInfo(instanceManager, "4.5.6");
+
+    dataElement({
+      instanceName: "myinstance"
+    });
+
+    expect(mockLogger.error).toHaveBeenCalledWith(
+      'Failed to retrieve library info for instance "myinstance". No matching instance was configured with this name.'
+    );
+  });
+});
@@ -0,0 +1,98 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import createPersonalizationDecisions from "../../../../../src/lib/dataElements/personalizationDecisions/createPersonalizationDecisions";
+import turbineVariable from "../../../helpers/turbineVariable";
+
+describe("Personalization Decisions", () => {
+  let mockLogger;
+  let instanceManager;
+
+  const decisions = [
+    {
+      id: "decision1",
+      scope: "hero-banner",
+      items: []
+    },
+    {
+      id: "decision2",
+      scope: "recommendations",
+      items: []
+    }
+  ];
+
+  beforeEach(() => {
+    mockLogger = {
+      error: jasmine.createSpy()
+    };
+    turbineVariable.mock({
+      logger: mockLogger
+    });
+    instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue({
+        getDecisions() {
+          return decisions;
+        }
+      })
+    };
+  });
+
+  afterEach(() => {
+    turbineVariable.reset();
+  });
+
+  it("returns all decisions", () => {
+    const dataElement = createPersonalizationDecisions(instanceManager);
+
+    const value = dataElement({
+      instanceName: "myinstance"
+    });
+
+    expect(instanceManager.getAccessor).toHaveBeenCalledWith("myinstance");
+    expect(value).toEqual(decisions);
+  });
+
+  it("returns decisions filtered by scope", () => {
+    const dataElement = createPersonalizationDecisions(instanceManager);
+
+    const value = dataElement({
+      instanceName: "myinstance",
+      scope: "recommendations"
+    });
+
+    expect(value).toEqual([decisions[1]]);
+  });
+
+  it("returns an empty array when no decisions match the scope", () => {
+    const dataElement = createPersonalizationDecisions(instanceManager);
+
+    const value = dataElement({
+      instanceName: "myinstance",
+      scope: "footer"
+    });
+
+    expect(value).toEqual([]);
+  });
+
+  it("logs an error when no matching instance found", () => {
+    instanceManager.getAccessor.and.returnValue(undefined);
+    const dataElement = createPersonalizationDecisions(instanceManager);
+
+    dataElement({
+      instanceName: "myinstance"
+    });
+
+    expect(mockLogger.error).toHaveBeenCalledWith(
+      'Failed to retrieve personalization decisions for instance "myinstance". No matching instance was configured with this name.'
+    );
+  });
+});
@@ -0,0 +1,153 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import xdmObject from "../../../../../src/lib/dataElements/xdmObject/createXdmObject";
+
+describe("XDM Object", () => {
+  it("returns the XDM object", () => {
+    const value = xdmObject({
+      xdm: {
+        web: {
+          webPageDetails: {
+            name: "home"
+          }
+        }
+      }
+    });
+
+    expect(value).toEqual({
+      web: {
+        webPageDetails: {
+          name: "home"
+        }
+      }
+    });
+  });
+
+  it("keeps values of any type provided by data elements", () => {
+    const value = xdmObject({
+      xdm: {
+        commerce: {
+          order: {
+            priceTotal: 12.5
+          },
+          purchases: {
+            value: 0
+          }
+        },
+        device: {
+          screenOrientation: false
+        }
+      }
+    });
+
+    expect(value).toEqual({
+      commerce: {
+        order: {
+          priceTotal: 12.5
+        },
+        purchases: {
+          value: 0
+        }
+      },
+      device: {
+        screenOrientation: false
+      }
+    });
+  });
+
+  it("supports arrays", () => {
+    const value = xdmObject({
+      xdm: {
+        productListItems: [
+          {
+            SKU: "ABC",
+            quantity: 1
+          },
+          {
+            SKU: "DEF",
+            quantity: 2
+          }
+        ]
+      }
+    });
+
+    expect(value).toEqual({
+      productListItems: [
+        {
+          SKU: "ABC",
+          quantity: 1
+        },
+        {
+          SKU: "DEF",
+          quantity: 2
+        }
+      ]
+    });
+  });
+
+  it("drops empty values and empty branches", () => {
+    const value = xdmObject({
+      xdm: {
+        web: {
+          webPageDetails: {
+            name: "home",
+            siteSection: ""
+          },
+          webReferrer: {
+            URL: undefined
+          }
+        },
+        productListItems: [
+          {
+            SKU: ""
+          },
+          {
+            SKU: "DEF"
+          },
+          null
+        ],
+        marketing: {
+          trackingCode: null,
+          channels: []
+        }
+      }
+    });
+
+    expect(value).toEqual({
+      web: {
+        webPageDetails: {
+          name: "home"
+        }
+      },
+      productListItems: [
+        {
+          SKU: "DEF"
+        }
+      ]
+    });
+  });
+
+  it("returns an empty object when all values are empty", () => {
+    const value = xdmObject({
+      xdm: {
+        web: {
+          webPageDetails: {
+            name: ""
+          }
+        }
+      }
+    });
+
+    expect(value).toEqual({});
+  });
+});
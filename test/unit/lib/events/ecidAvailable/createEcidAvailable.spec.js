@@ -0,0 +1,71 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import createEcidAvailable from "../../../../../src/lib/events/ecidAvailable/createEcidAvailable";
+import turbineVariable from "../../../helpers/turbineVariable";
+
+describe("ECID Available", () => {
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = {
+      error: jasmine.createSpy()
+    };
+    turbineVariable.mock({
+      logger: mockLogger
+    });
+  });
+
+  afterEach(() => {
+    turbineVariable.reset();
+  });
+
+  it("triggers the rule when the ECID is available", () => {
+    let ecidListener;
+    const instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue({
+        addEcidListener(listener) {
+          ecidListener = listener;
+        }
+      })
+    };
+    const trigger = jasmine.createSpy();
+    const event = createEcidAvailable(instanceManager);
+
+    event({ instanceName: "myinstance" }, trigger);
+
+    expect(instanceManager.getAccessor).toHaveBeenCalledWith("myinstance");
+    expect(trigger).not.toHaveBeenCalled();
+
+    ecidListener("ABC123");
+
+    expect(trigger).toHaveBeenCalledWith({
+      detail: {
+        instanceName: "myinstance",
+        ecid: "ABC123"
+      }
+    });
+  });
+
+  it("logs an error when no matching instance found", () => {
+    const instanceManager = {
+      getAccessor: () => undefined
+    };
+    const event = createEcidAvailable(instanceManager);
+
+    event({ instanceName: "myinstance" }, jasmine.createSpy());
+
+    expect(mockLogger.error).toHaveBeenCalledWith(
+      'Failed to listen for the ECID for instance "myinstance". No matching instance was configured with this name.'
+    );
+  });
+});
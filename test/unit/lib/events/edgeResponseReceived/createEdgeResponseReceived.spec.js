@@ -0,0 +1,159 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import createEdgeResponseReceived from "../../../../../src/lib/events/edgeResponseReceived/createEdgeResponseReceived";
+import turbineVariable from "../../../helpers/turbineVariable";
+
+describe("Edge Response Received", () => {
+  let mockLogger;
+  let edgeResponseListener;
+  let instanceManager;
+  let trigger;
+
+  const response = {
+    requestId: "abc",
+    handle: [
+      {
+        type: "identity:result",
+        payload: [
+          {
+            namespace: {
+              code: "ECID"
+            },
+            id: "123"
+          }
+        ]
+      },
+      {
+        type: "personalization:decisions",
+        payload: [
+          {
+            id: "decision1"
+          }
+        ]
+      },
+      {
+        type: "personalization:decisions",
+        payload: [
+          {
+            id: "decision2"
+          }
+        ]
+      }
+    ]
+  };
+
+  beforeEach(() => {
+    mockLogger = {
+      error: jasmine.createSpy()
+    };
+    turbineVariable.mock({
+      logger: mockLogger
+    });
+    instanceManager = {
+      getAccessor: jasmine.createSpy().and.returnValue({
+        addEdgeResponseListener(listener) {
+          edgeResponseListener = listener;
+        }
+      })
+    };
+    trigger = jasmine.createSpy();
+  });
+
+  afterEach(() => {
+    turbineVariable.reset();
+  });
+
+  it("triggers the rule with payloads grouped by type", () => {
+    const event = createEdgeResponseReceived(instanceManager);
+
+    event({ instanceName: "myinstance" }, trigger);
+
+    expect(instanceManager.getAccessor).toHaveBeenCalledWith("myinstance");
+    expect(trigger).not.toHaveBeenCalled();
+
+    edgeResponseListener(response);
+
+    expect(trigger).toHaveBeenCalledWith({
+      detail: {
+        instanceName: "myinstance",
+        payloads: {
+          "identity:result": [
+            {
+              namespace: {
+                code: "ECID"
+              },
+              id: "123"
+            }
+          ],
+          "personalization:decisions": [
+            {
+              id: "decision1"
+            },
+            {
+              id: "decision2"
+            }
+          ]
+        }
+      }
+    });
+  });
+
+  it("triggers the rule when the response contains the filtered payload type", () => {
+    const event = createEdgeResponseReceived(instanceManager);
+
+    event(
+      { instanceName: "myinstance", payloadType: "personalization:decisions" },
+      trigger
+    );
+    edgeResponseListener(response);
+
+    expect(trigger).toHaveBeenCalledTimes(1);
+  });
+
+  it("does not trigger the rule when the response lacks the filtered payload type", () => {
+    const event = createEdgeResponseReceived(instanceManager);
+
+    event(
+      { instanceName: "myinstance", payloadType: "activation:push" },
+      trigger
+    );
+    edgeResponseListener(response);
+
+    expect(trigger).not.toHaveBeenCalled();
+  });
+
+  it("triggers the rule when the response has no handle", () => {
+    const event = createEdgeResponseReceived(instanceManager);
+
+    event({ instanceName: "myinstance" }, trigger);
+    edgeResponseListener({ requestId: "abc" });
+
+    expect(trigger).toHaveBeenCalledWith({
+      detail: {
+        instanceName: "myinstance",
+        payloads: {}
+      }
+    });
+  });
+
+  it("logs an error when no matching instance found", () => {
+    instanceManager.getAccessor.and.returnValue(undefined);
+    const event = createEdgeResponseReceived(instanceManager);
+
+    event({ instanceName: "myinstance" }, trigger);
+
+    expect(mockLogger.error).toHaveBeenCalledWith(
+      'Failed to listen for edge responses for instance "myinstance". No matching instance was configured with this name.'
+    );
+  });
+});
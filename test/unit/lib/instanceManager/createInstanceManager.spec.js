@@ -17,37 +17,83 @@ describe("Instance Manager", () => {
   let runAlloy;
   let instanceManager;
   let mockWindow;
+  let mockLogger;
+  let configureResult;
+  let alloyEcid;
 
-  beforeEach(() => {
+  const mockTurbine = stage => {
     turbineVariable.mock({
+      logger: mockLogger,
       getExtensionSettings() {
         return {
           instances: [
             {
               name: "alloy1",
-              configId: "PR123"
+              configId: "PR123",
+              // Provided by data elements which resolved to empty values.
+              datasetId: "",
+              schemaId: undefined
             },
             {
               name: "alloy2",
               configId: "PR456",
-              orgId: "DIFFERENTORG@AdobeOrg"
+              orgId: "DIFFERENTORG@AdobeOrg",
+              // Provided by a data element which resolved to a string.
+              debugEnabled: "true",
+              environmentOverrides: {
+                development: {
+                  configId: "PR456DEV",
+                  edgeDomain: "dev.example.com"
+                },
+                staging: {
+                  orgId: "STAGINGORG@AdobeOrg",
+                  // Provided by a data element which resolved to an empty
+                  // string, so the base config ID should be used.
+                  configId: ""
+                }
+              }
             }
           ]
         };
+      },
+      environment: {
+        stage
       }
     });
-    mockWindow = {};
+  };
+
+  beforeEach(() => {
+    mockLogger = {
+      info: jasmine.createSpy(),
+      error: jasmine.createSpy()
+    };
+    configureResult = Promise.resolve();
+    alloyEcid = name => `${name}:ecid`;
+    mockTurbine("production");
+    mockWindow = {
+      document: {
+        cookie: ""
+      }
+    };
     runAlloy = jasmine.createSpy().and.callFake(names => {
       names.forEach(name => {
         mockWindow[name] = jasmine
           .createSpy()
           .and.callFake((commandName, options) => {
             if (commandName === "configure") {
-              options.reactorRegisterGetEcid(() => `${name}:ecid`);
+              options.reactorRegisterGetEcid(() => alloyEcid(name));
               options.reactorRegisterCreateEventMergeId(
                 () => `${name}:eventMergeId`
               );
+              options.reactorRegisterGetDecisions(() => [
+                { id: `${name}:decision` }
+              ]);
+              options.reactorRegisterGetLibraryInfo(() => ({
+                version: `${name}:version`
+              }));
+              return configureResult;
             }
+            return Promise.resolve();
           });
       });
     });
@@ -59,7 +105,13 @@ describe("Instance Manager", () => {
   });
 
   afterEach(() => {
-    turbineVariable.reset();
+    // Wait for configuration to settle so the instance manager
+    // doesn't log after the turbine variable has been reset.
+    return configureResult
+      .catch(() => {})
+      .then(() => {
+        turbineVariable.reset();
+      });
   });
 
   it("runs alloy", () => {
@@ -76,14 +128,82 @@ describe("Instance Manager", () => {
       configId: "PR123",
       orgId: "ABC@AdobeOrg",
       reactorRegisterGetEcid: jasmine.any(Function),
-      reactorRegisterCreateEventMergeId: jasmine.any(Function)
+      reactorRegisterCreateEventMergeId: jasmine.any(Function),
+      reactorRegisterGetDecisions: jasmine.any(Function),
+      reactorRegisterGetLibraryInfo: jasmine.any(Function)
     });
     expect(mockWindow.alloy2).toHaveBeenCalledWith("configure", {
       configId: "PR456",
       orgId: "DIFFERENTORG@AdobeOrg",
+      debugEnabled: true,
       reactorRegisterGetEcid: jasmine.any(Function),
-      reactorRegisterCreateEventMergeId: jasmine.any(Function)
+      reactorRegisterCreateEventMergeId: jasmine.any(Function),
+      reactorRegisterGetDecisions: jasmine.any(Function),
+      reactorRegisterGetLibraryInfo: jasmine.any(Function)
+    });
+  });
+
+  it("configures an SDK instance using overrides for the development environment", () => {
+    mockTurbine("development");
+    mockWindow = {};
+    createInstanceManager(mockWindow, runAlloy, "ABC@AdobeOrg");
+
+    expect(mockWindow.alloy1).toHaveBeenCalledWith(
+      "configure",
+      jasmine.objectContaining({
+        configId: "PR123",
+        orgId: "ABC@AdobeOrg"
+      })
+    );
+    expect(mockWindow.alloy2).toHaveBeenCalledWith(
+      "configure",
+      jasmine.objectContaining({
+        configId: "PR456DEV",
+        orgId: "DIFFERENTORG@AdobeOrg",
+        edgeDomain: "dev.example.com"
+      })
+    );
+  });
+
+  it("configures an SDK instance using overrides for the staging environment", () => {
+    mockTurbine("staging");
+    mockWindow = {};
+    createInstanceManager(mockWindow, runAlloy, "ABC@AdobeOrg");
+
+    expect(mockWindow.alloy2).toHaveBeenCalledWith(
+      "configure",
+      jasmine.objectContaining({
+        configId: "PR456",
+        orgId: "STAGINGORG@AdobeOrg"
+      })
+    );
+  });
+
+  it("configures an SDK instance with onBeforeEventSend custom code", () => {
+    const onBeforeEventSendCode = () => {};
+    turbineVariable.mock({
+      logger: mockLogger,
+      getExtensionSettings() {
+        return {
+          instances: [
+            {
+              name: "alloy1",
+              configId: "PR123",
+              onBeforeEventSendCode
+            }
+          ]
+        };
+      },
+      environment: {
+        stage: "production"
+      }
     });
+    mockWindow = {};
+    createInstanceManager(mockWindow, runAlloy, "ABC@AdobeOrg");
+
+    const options = mockWindow.alloy1.calls.argsFor(0)[1];
+    expect(options.onBeforeEventSend).toBe(onBeforeEventSendCode);
+    expect(options.onBeforeEventSendCode).toBeUndefined();
   });
 
   it("returns accessor by name", () => {
@@ -91,5 +211,165 @@ describe("Instance Manager", () => {
     expect(accessor.instance).toBe(mockWindow.alloy2);
     expect(accessor.getEcid()).toBe("alloy2:ecid");
     expect(accessor.createEventMergeId()).toBe("alloy2:eventMergeId");
+    expect(accessor.getDecisions()).toEqual([{ id: "alloy2:decision" }]);
+    expect(accessor.getLibraryInfo()).toEqual({ version: "alloy2:version" });
+  });
+
+  it("returns all accessors", () => {
+    const accessors = instanceManager.getAccessors();
+    expect(accessors.length).toBe(2);
+    expect(accessors[0].instance).toBe(mockWindow.alloy1);
+    expect(accessors[1].instance).toBe(mockWindow.alloy2);
+  });
+
+  it("reports a pending status before the instance is configured", () => {
+    expect(instanceManager.getAccessor("alloy1").getStatus()).toEqual({
+      status: "pending"
+    });
+  });
+
+  it("reports a configured status after the instance is configured", () => {
+    return configureResult.then(() => {
+      expect(instanceManager.getAccessor("alloy1").getStatus()).toEqual({
+        status: "configured"
+      });
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        'Instance "alloy1" was configured successfully.'
+      );
+    });
+  });
+
+  it("reports a failed status with the reason when configuring fails", () => {
+    configureResult = Promise.reject(new Error("Invalid configId."));
+    mockWindow = {};
+    instanceManager = createInstanceManager(
+      mockWindow,
+      runAlloy,
+      "ABC@AdobeOrg"
+    );
+
+    return configureResult.catch(() => {
+      expect(instanceManager.getAccessor("alloy1").getStatus()).toEqual({
+        status: "failed",
+        reason: "Invalid configId."
+      });
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        'Failed to configure instance "alloy1". Invalid configId.'
+      );
+    });
+  });
+
+  it("returns the ECID from cookies when Alloy doesn't have it", () => {
+    alloyEcid = () => undefined;
+    mockWindow.document.cookie = "AMCV_ABC@AdobeOrg=MCMID|12345";
+
+    expect(instanceManager.getAccessor("alloy1").getEcid()).toBe("12345");
+  });
+
+  it("caches the ECID from edge responses and notifies ECID listeners", () => {
+    alloyEcid = () => undefined;
+    const ecidListener = jasmine.createSpy();
+    const accessor = instanceManager.getAccessor("alloy1");
+    accessor.addEcidListener(ecidListener);
+
+    expect(accessor.getEcid()).toBeUndefined();
+    expect(ecidListener).not.toHaveBeenCalled();
+
+    accessor.notifyEdgeResponseListeners({
+      handle: [
+        {
+          type: "identity:result",
+          payload: [
+            {
+              namespace: {
+                code: "ECID"
+              },
+              id: "67890"
+            }
+          ]
+        }
+      ]
+    });
+
+    expect(ecidListener).toHaveBeenCalledWith("67890");
+    expect(accessor.getEcid()).toBe("67890");
+  });
+
+  it("notifies ECID listeners immediately when the ECID is already available", () => {
+    const ecidListener = jasmine.createSpy();
+    const accessor = instanceManager.getAccessor("alloy1");
+    accessor.getEcid();
+    accessor.addEcidListener(ecidListener);
+
+    expect(ecidListener).toHaveBeenCalledWith("alloy1:ecid");
+  });
+
+  it("notifies ECID listeners immediately when the ECID is available from cookies", () => {
+    alloyEcid = () => undefined;
+    mockWindow.document.cookie = "AMCV_ABC@AdobeOrg=MCMID|12345";
+    const ecidListener = jasmine.createSpy();
+    instanceManager.getAccessor("alloy1").addEcidListener(ecidListener);
+
+    expect(ecidListener).toHaveBeenCalledWith("12345");
+  });
+
+  it("notifies edge response listeners for the instance", () => {
+    const alloy1Listener = jasmine.createSpy();
+    const alloy2Listener = jasmine.createSpy();
+    const response = {
+      handle: []
+    };
+    instanceManager
+      .getAccessor("alloy1")
+      .addEdgeResponseListener(alloy1Listener);
+    instanceManager
+      .getAccessor("alloy2")
+      .addEdgeResponseListener(alloy2Listener);
+
+    instanceManager.getAccessor("alloy2").notifyEdgeResponseListeners(response);
+
+    expect(alloy1Listener).not.toHaveBeenCalled();
+    expect(alloy2Listener).toHaveBeenCalledWith(response);
+  });
+
+  it("logs an error and notifies remaining edge response listeners when a listener throws", () => {
+    const failingListener = () => {
+      throw new Error("Rule failed.");
+    };
+    const listener = jasmine.createSpy();
+    const response = {
+      handle: []
+    };
+    const accessor = instanceManager.getAccessor("alloy1");
+    accessor.addEdgeResponseListener(failingListener);
+    accessor.addEdgeResponseListener(listener);
+
+    expect(() => accessor.notifyEdgeResponseListeners(response)).not.toThrow();
+    expect(listener).toHaveBeenCalledWith(response);
+    expect(mockLogger.error).toHaveBeenCalledWith(
+      'Failed to notify an edge response listener for instance "alloy1". Rule failed.'
+    );
+  });
+
+  it("returns no decisions or library info when Alloy fails to configure before registering", () => {
+    const failedConfigureResult = Promise.reject(new Error("Invalid option."));
+    mockWindow = {};
+    const failedInstanceManager = createInstanceManager(
+      mockWindow,
+      names => {
+        names.forEach(name => {
+          mockWindow[name] = () => failedConfigureResult;
+        });
+      },
+      "ABC@AdobeOrg"
+    );
+
+    const accessor = failedInstanceManager.getAccessor("alloy1");
+
+    expect(accessor.getDecisions()).toEqual([]);
+    expect(accessor.getLibraryInfo()).toEqual({});
+
+    // Wait for the failure to be logged before the turbine variable is reset.
+    return failedConfigureResult.catch(() => {});
   });
 });
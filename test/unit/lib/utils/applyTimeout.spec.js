@@ -0,0 +1,61 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import applyTimeout from "../../../../src/lib/utils/applyTimeout";
+
+describe("applyTimeout", () => {
+  let onTimeout;
+
+  beforeEach(() => {
+    onTimeout = jasmine.createSpy();
+    jasmine.clock().install();
+  });
+
+  afterEach(() => {
+    jasmine.clock().uninstall();
+  });
+
+  it("returns the promise unchanged when no timeout is provided", () => {
+    const promise = Promise.resolve();
+    expect(applyTimeout(promise, undefined, onTimeout)).toBe(promise);
+  });
+
+  it("resolves with the value of the promise when settled in time", done => {
+    applyTimeout(Promise.resolve("foo"), 1000, onTimeout).then(value => {
+      expect(value).toBe("foo");
+      jasmine.clock().tick(1000);
+      expect(onTimeout).not.toHaveBeenCalled();
+      done();
+    });
+  });
+
+  it("rejects with the error of the promise when settled in time", done => {
+    const error = new Error("Request failed.");
+    applyTimeout(Promise.reject(error), 1000, onTimeout).catch(e => {
+      expect(e).toBe(error);
+      jasmine.clock().tick(1000);
+      expect(onTimeout).not.toHaveBeenCalled();
+      done();
+    });
+  });
+
+  it("resolves and calls onTimeout when the promise is not settled in time", done => {
+    applyTimeout(new Promise(() => {}), 1000, onTimeout).then(value => {
+      expect(value).toBeUndefined();
+      expect(onTimeout).toHaveBeenCalled();
+      done();
+    });
+    jasmine.clock().tick(999);
+    expect(onTimeout).not.toHaveBeenCalled();
+    jasmine.clock().tick(1);
+  });
+});
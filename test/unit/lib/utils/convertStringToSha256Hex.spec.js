@@ -0,0 +1,64 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import convertStringToSha256Hex from "../../../../src/lib/utils/convertStringToSha256Hex";
+
+describe("convertStringToSha256Hex", () => {
+  it("resolves with the SHA-256 hash as a hexadecimal string", () => {
+    return convertStringToSha256Hex(window, "abc").then(hash => {
+      expect(hash).toBe(
+        "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad"
+      );
+    });
+  });
+
+  it("encodes text as UTF-8 when TextEncoder isn't available", () => {
+    const mockWindow = {
+      crypto: window.crypto
+    };
+
+    return convertStringToSha256Hex(mockWindow, "é").then(hash => {
+      expect(hash).toBe(
+        "4a99557e4033c3539de2eb65472017cad5f9557f7a0625a09f1c3f6e2ba69c4c"
+      );
+    });
+  });
+
+  it("resolves with the hash from an IE 11 crypto operation", () => {
+    const listeners = {};
+    const cryptoOperation = {
+      result: new Uint8Array([1, 171]).buffer,
+      addEventListener(type, listener) {
+        listeners[type] = listener;
+      }
+    };
+    const mockWindow = {
+      msCrypto: {
+        subtle: {
+          digest: jasmine.createSpy().and.returnValue(cryptoOperation)
+        }
+      }
+    };
+
+    const promise = convertStringToSha256Hex(mockWindow, "abc");
+    listeners.complete();
+
+    return promise.then(hash => {
+      expect(hash).toBe("01ab");
+    });
+  });
+
+  it("returns undefined when hashing isn't supported", () => {
+    expect(convertStringToSha256Hex({ crypto: {} }, "abc")).toBeUndefined();
+    expect(convertStringToSha256Hex({}, "abc")).toBeUndefined();
+  });
+});
@@ -0,0 +1,83 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import getEcidFromCookies from "../../../../src/lib/utils/getEcidFromCookies";
+
+describe("getEcidFromCookies", () => {
+  const ecid = "12345678901234567890123456789012345678";
+  const identityCookieValue = btoa(
+    `${String.fromCharCode(0x0a, ecid.length)}${ecid}${String.fromCharCode(
+      0x10,
+      0x01
+    )}`
+  );
+
+  const createWindow = cookie => ({
+    document: {
+      cookie
+    },
+    atob
+  });
+
+  it("returns the ECID from the identity cookie", () => {
+    const window = createWindow(
+      `foo=bar; kndctr_ABC_AdobeOrg_identity=${encodeURIComponent(
+        identityCookieValue
+      )}`
+    );
+
+    expect(getEcidFromCookies(window, "ABC@AdobeOrg")).toBe(ecid);
+  });
+
+  it("returns the ECID from an identity cookie encoded as URL-safe base64 without padding", () => {
+    // The trailing bytes were chosen so that the encoded value contains both
+    // URL-safe characters and padding.
+    const urlSafeEcid = "99999999999999999999999999999999999999";
+    const urlSafeCookieValue = btoa(
+      `${String.fromCharCode(
+        0x0a,
+        urlSafeEcid.length
+      )}${urlSafeEcid}${String.fromCharCode(0x10, 0xff, 0xff)}`
+    )
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_")
+      .replace(/=+$/, "");
+    const window = createWindow(
+      `kndctr_ABC_AdobeOrg_identity=${urlSafeCookieValue}`
+    );
+
+    expect(urlSafeCookieValue).toMatch(/[-_]/);
+    expect(getEcidFromCookies(window, "ABC@AdobeOrg")).toBe(urlSafeEcid);
+  });
+
+  it("returns the ECID from the AMCV cookie", () => {
+    const window = createWindow(
+      `AMCV_ABC@AdobeOrg=${encodeURIComponent(`MCMID|${ecid}`)}; foo=bar`
+    );
+
+    expect(getEcidFromCookies(window, "ABC@AdobeOrg")).toBe(ecid);
+  });
+
+  it("falls back to the AMCV cookie when the identity cookie can't be read", () => {
+    const window = createWindow(
+      `kndctr_ABC_AdobeOrg_identity=notbase64!; AMCV_ABC@AdobeOrg=MCMID|${ecid}`
+    );
+
+    expect(getEcidFromCookies(window, "ABC@AdobeOrg")).toBe(ecid);
+  });
+
+  it("returns undefined when no cookie contains the ECID", () => {
+    const window = createWindow("AMCV_DIFFERENT@AdobeOrg=MCMID|123");
+
+    expect(getEcidFromCookies(window, "ABC@AdobeOrg")).toBeUndefined();
+  });
+});
@@ -0,0 +1,67 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import idNormalizers from "../../../../src/lib/utils/idNormalizers";
+
+describe("idNormalizers", () => {
+  describe("email", () => {
+    it("trims and lowercases the email address", () => {
+      expect(idNormalizers.email(" John.Doe+News@Example.COM ")).toBe(
+        "john.doe+news@example.com"
+      );
+    });
+
+    it("removes dots and plus tags from Gmail addresses", () => {
+      expect(idNormalizers.email("John.Doe+news@gmail.com")).toBe(
+        "johndoe@gmail.com"
+      );
+      expect(idNormalizers.email("john.doe@googlemail.com")).toBe(
+        "johndoe@gmail.com"
+      );
+    });
+
+    it("returns undefined for values that aren't email addresses", () => {
+      expect(idNormalizers.email("john.doe")).toBeUndefined();
+      expect(idNormalizers.email("@example.com")).toBeUndefined();
+      expect(idNormalizers.email("john.doe@")).toBeUndefined();
+      expect(idNormalizers.email("+news@gmail.com")).toBeUndefined();
+    });
+  });
+
+  describe("phone", () => {
+    it("formats international numbers", () => {
+      expect(idNormalizers.phone("+1 (415) 555-0123")).toBe("+14155550123");
+      expect(idNormalizers.phone("0044 20 7946 0958")).toBe("+442079460958");
+    });
+
+    it("adds the country calling code to national numbers", () => {
+      expect(idNormalizers.phone("020 7946 0958", "44")).toBe("+442079460958");
+      expect(idNormalizers.phone("(415) 555-0123", "1")).toBe("+14155550123");
+    });
+
+    it("returns undefined for numbers that can't be formatted", () => {
+      expect(idNormalizers.phone("(415) 555-0123")).toBeUndefined();
+      expect(idNormalizers.phone("+1 555")).toBeUndefined();
+      expect(idNormalizers.phone("+1234567890123456")).toBeUndefined();
+    });
+  });
+
+  describe("strip", () => {
+    it("removes whitespace and punctuation", () => {
+      expect(idNormalizers.strip(" AB-12 3.4/5_(x) ")).toBe("AB12345x");
+    });
+
+    it("returns undefined when nothing remains", () => {
+      expect(idNormalizers.strip(" - ")).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import createConnectionTester from "../../../../../src/view/configuration/utils/createConnectionTester";
+
+describe("createConnectionTester", () => {
+  const instanceValues = {
+    configId: "PR123",
+    edgeDomain: "edge.example.com",
+    edgeBasePath: "ee"
+  };
+  let transport;
+  let getEdgeBaseUrl;
+  let testConnection;
+
+  beforeEach(() => {
+    transport = jasmine.createSpy();
+    getEdgeBaseUrl = jasmine
+      .createSpy()
+      .and.callFake(edgeDomain => `http://localhost/${edgeDomain}`);
+    testConnection = createConnectionTester(transport, getEdgeBaseUrl);
+  });
+
+  it("sends the request to the URL for the instance values", () => {
+    transport.and.returnValue(Promise.resolve({ status: 200, body: "{}" }));
+
+    return testConnection(instanceValues).then(() => {
+      expect(getEdgeBaseUrl).toHaveBeenCalledWith("edge.example.com");
+      expect(transport).toHaveBeenCalledWith(
+        "http://localhost/edge.example.com/ee/v1/interact?configId=PR123",
+        jasmine.any(String)
+      );
+    });
+  });
+
+  it("reports success when the Edge accepts the request", () => {
+    transport.and.returnValue(
+      Promise.resolve({ status: 200, body: '{"handle":[]}' })
+    );
+
+    return testConnection(instanceValues).then(result => {
+      expect(result).toEqual({
+        success: true,
+        status: 200,
+        errors: []
+      });
+    });
+  });
+
+  it("reports the status and errors of an HTTP error response", () => {
+    transport.and.returnValue(
+      Promise.resolve({
+        status: 400,
+        body: JSON.stringify({
+          errors: [{ title: "Invalid configId." }, { code: "EXEG-0003-400" }]
+        })
+      })
+    );
+
+    return testConnection(instanceValues).then(result => {
+      expect(result).toEqual({
+        success: false,
+        status: 400,
+        errors: ["Invalid configId.", "EXEG-0003-400"]
+      });
+    });
+  });
+
+  it("reports the status of an HTTP error response without JSON content", () => {
+    transport.and.returnValue(
+      Promise.resolve({ status: 502, body: "Bad Gateway" })
+    );
+
+    return testConnection(instanceValues).then(result => {
+      expect(result).toEqual({
+        success: false,
+        status: 502,
+        errors: []
+      });
+    });
+  });
+
+  it("reports a network failure", () => {
+    transport.and.returnValue(Promise.reject(new Error("Failed to fetch")));
+
+    return testConnection(instanceValues).then(result => {
+      expect(result).toEqual({
+        success: false,
+        errors: ["The request could not be sent. Failed to fetch"]
+      });
+    });
+  });
+
+  it("does not send a request when values are missing", () => {
+    return testConnection({ ...instanceValues, configId: "" }).then(result => {
+      expect(transport).not.toHaveBeenCalled();
+      expect(result.success).toBe(false);
+    });
+  });
+
+  it("does not send a request when values are provided by data elements", () => {
+    return testConnection({ ...instanceValues, edgeDomain: "%domain%" }).then(
+      result => {
+        expect(transport).not.toHaveBeenCalled();
+        expect(result.success).toBe(false);
+      }
+    );
+  });
+});